@@ -10,6 +10,7 @@ var classes = {
     Mixin: require('ml-mixin'),
     MessageSource: require('./messenger/m_source'),
     MessengerMessageSource: require('./messenger/msngr_source'),
+    PortMessageSource: require('./messenger/port_source'),
     MessengerAPI: require('./messenger/m_api'),
     MessengerRegexpAPI: require('./messenger/m_api_rx')
 };
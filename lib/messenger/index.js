@@ -2,13 +2,23 @@
 
 var Mixin = require('ml-mixin')
     , MessageSource = require('./m_source')
+    , MessageStream = require('./m_stream')
+    , Subscription = require('./subscription')
+    , Recorder = require('./recorder')
+    , Scheduler = require('./scheduler')
     , _ = require('protojs')
     , check = require('ml-check')
     , Match = check.Match;
 
 
-// in browser code can be replaced with milo.util.zeroTimeout using useSetTimeout method
-var _setTimeout = setTimeout;
+// global handling of subscribers exceptions, see useErrorHandler and useStrictMode
+var _errorHandler, _strictMode = false;
+
+// global instrumentation hooks, see addHook
+var _hooks = [];
+
+// sequence number of retained sticky messages, used to replay messages in the order they were posted
+var _stickySequence = 0;
 
 
 /**
@@ -46,7 +56,13 @@ var messagesSplitRegExp = Messenger.messagesSplitRegExp = /\s*(?:\,|\s)\s*/;
  * - [once](#once)
  * - [onceSync](#onceSync)
  * - [postMessage](#postMessage)
+ * - [waitFor](#Messenger$waitFor)
+ * - [stream](#Messenger$stream)
+ * - [request](#Messenger$request)
+ * - [handle](#Messenger$handle)
  * - [getSubscribers](#getSubscribers)
+ * - [getStickyMessages](#getStickyMessages)
+ * - [clearStickyMessages](#clearStickyMessages)
  *
  * "Private" methods
  *
@@ -54,7 +70,7 @@ var messagesSplitRegExp = Messenger.messagesSplitRegExp = /\s*(?:\,|\s)\s*/;
  * - [_registerSubscriber](#_registerSubscriber)
  * - [_removeSubscriber](#_removeSubscriber)
  * - [_removeAllSubscribers](#_removeAllSubscribers)
- * - [_callPatternSubscribers](#_callPatternSubscribers)
+ * - [_getPatternSubscribers](#_getPatternSubscribers)
  * - [_callSubscribers](#_callSubscribers)
  * - [_setMessageSource](#_setMessageSource)
  * - [getMessageSource](#getMessageSource)
@@ -75,22 +91,33 @@ _.extendProto(Messenger, {
     offAll: Messenger$offAll,
     postMessage: postMessage,
     postMessageSync: postMessageSync,
+    waitFor: Messenger$waitFor,
+    stream: Messenger$stream,
+    request: Messenger$request,
+    handle: Messenger$handle,
     getSubscribers: getSubscribers,
+    getStickyMessages: getStickyMessages,
+    clearStickyMessages: clearStickyMessages,
     getMessageSource: getMessageSource,
     _chooseSubscribersHash: _chooseSubscribersHash,
     _registerSubscriber: _registerSubscriber,
     _removeSubscriber: _removeSubscriber,
     _removeAllSubscribers: _removeAllSubscribers,
-    _callPatternSubscribers: _callPatternSubscribers,
+    _getPatternSubscribers: _getPatternSubscribers,
     _callSubscribers: _callSubscribers,
     _callSubscriber: _callSubscriber,
-    _setMessageSource: _setMessageSource
+    _setMessageSource: _setMessageSource,
+    _isSubscribed: _isSubscribed,
+    _hasSubscriber: _hasSubscriber,
+    _addAsyncSubscription: _addAsyncSubscription,
+    _removeAsyncSubscription: _removeAsyncSubscription
 });
 
 
 /**
  * A default map of proxy methods used by ComponentFacet and Component classes to pass to Messenger when it is instantiated.
  * This map is for convenience only, it is NOT used internally by Messenger, a host class should pass it for methods to be proxied this way.
+ * Other methods (e.g. `waitFor`, `stream`, `request` and `handle`) are not proxied by default, a host class can add them to its own map of proxy methods.
  */
 Messenger.defaultMethods = {
     on: 'on',
@@ -109,16 +136,29 @@ Messenger.defaultMethods = {
 /**
  * Messenger class (static) methods
  * - [useSetTimeout](#useSetTimeout)
+ * - [useScheduler](#useScheduler)
+ * - [useErrorHandler](#useErrorHandler)
+ * - [useStrictMode](#useStrictMode)
+ * - [addHook](#addHook)
+ * - [removeHook](#removeHook)
  */
 Messenger.useSetTimeout = useSetTimeout;
+Messenger.useScheduler = useScheduler;
+Messenger.Scheduler = Scheduler;
+Messenger.useErrorHandler = useErrorHandler;
+Messenger.useStrictMode = useStrictMode;
+Messenger.addHook = addHook;
+Messenger.removeHook = removeHook;
+Messenger.MessageDispatch = MessageDispatch;
+Messenger.MessageStream = MessageStream;
+Messenger.Subscription = Subscription;
+Messenger.CompositeSubscription = Subscription.Composite;
+Messenger.Recorder = Recorder;
 
 
 module.exports = Messenger;
 
 
-Messenger.subscriptions = [];
-
-
 /**
  * Messenger instance method
  * Initializes Messenger. Method is called by Mixin class constructor.
@@ -127,12 +167,36 @@ Messenger.subscriptions = [];
  * @param {Object} hostObject Optional object that stores the messenger on one of its properties. It is used to proxy methods of messenger and also as a context for subscribers when they are called by the Messenger. See `on` method.
  * @param {Object} proxyMethods Optional map of method names; key - proxy method name, value - messenger's method name.
  * @param {MessageSource} messageSource Optional messageSource linked to the messenger. If messageSource is supplied, the reference to the messenger will stored on its 'messenger' property
+ * @param {Object} options Optional messenger options:
+ *  - namespaces - true to allow namespaces in subscribed messages, e.g. `'click.myplugin'`, see [on](#Messenger$on) and [off](#Messenger$off)
+ *  - wildcards - true to allow "*" wildcards in subscribed messages, e.g. `'data:*'`, see [on](#Messenger$on)
+ *  - scheduler - [Scheduler](./scheduler.js.html) or the name of built-in scheduler used to call asynchronous subscribers, the default scheduler is used if not passed (see [useScheduler](#useScheduler))
+ *  - stickyMessages - list of messages that are always sticky, see [postMessage](#postMessage)
+ *  - replayBufferSize - the number of the last posts of each sticky message that are retained and replayed to new subscribers, 1 by default
+ *  Namespaces and wildcards are not enabled by default, as "." and "*" are used in messages of [Model](../model/index.js.html).
  */
-function init(hostObject, proxyMethods, messageSource) {
+function init(hostObject, proxyMethods, messageSource, options) {
     // hostObject and proxyMethods are used in Mixin and checked there
+    check(options, Match.Optional({
+        namespaces: Match.Optional(Boolean),
+        wildcards: Match.Optional(Boolean),
+        scheduler: Match.Optional(Match.OneOf(String, Object)),
+        stickyMessages: Match.Optional([String]),
+        replayBufferSize: Match.Optional(Match.Where(function(size) {
+            return typeof size == 'number' && size >= 1 && Math.floor(size) == size;
+        }))
+    }));
+
     if (messageSource)
         this._setMessageSource(messageSource);
 
+    _.defineProperties(this, {
+        _options: options || {},
+        _scheduler: options && options.scheduler && Scheduler.get(options.scheduler),
+        _asyncSubscriptions: [],
+        _stickyPosts: {},
+        _recorders: []
+    });
     _initializeSubscribers.call(this);
 }
 
@@ -150,7 +214,11 @@ function _initializeSubscribers() {
  */
 function Messenger$destroy() {
     this._destroyed = true;
+    this._asyncSubscriptions.slice().forEach(function(cancel) {
+        cancel();
+    });
     this.offAll();
+    this.clearStickyMessages();
     var messageSource = this.getMessageSource();
     if (messageSource)
         messageSource.destroy();
@@ -185,42 +253,66 @@ function Messenger$destroy() {
  *  If an array of strings is passed, each string is a message type to subscribe for.
  *  If a RegExp is passed, the subscriber will be envoked when the message dispatched on the messenger matches the pattern (or IS the RegExp with identical pattern).
  *  Pattern subscriber does NOT cause any subscription to MessageSource, it only captures messages that are already subscribed to with precise message types.
+ *  If messenger was created with `wildcards` option, the message can have "*" that matches any characters apart from ":" and "**" that matches any characters, e.g. `'data:*'` or `'**'`. Such messages are subscribed to as patterns.
+ *  If messenger was created with `namespaces` option, the message can have one or several namespaces after ".", e.g. `'click.myplugin'`. The subscriber is subscribed to the message without namespaces (so MessageSource subscribes to the source once for all namespaces) and it can be removed using namespace, e.g. `off('.myplugin')`.
  * @param {Function|Object} subscriber Message subscriber - a function that will be called when the message is dispatched on the messenger (usually via proxied postMessage method of host object).
  *  If hostObject was supplied to Messenger constructor, hostObject will be the context (the value of this) for the subscriber envocation.
- *  Subscriber can also be an object with properties `subscriber` (function) and `context` ("this" value when subscriber is called)
- * @return {Boolean}
+ *  Subscriber can also be an object with properties `subscriber` (function), `context` ("this" value when subscriber is called) and `options` (the same as the third parameter)
+ * @param {Object} options Optional subscription options:
+ *  - priority - number, subscribers with higher priority are called first (default is 0), subscribers with the same priority are called in the order of subscription.
+ *    Priority only orders synchronous subscribers among themselves and asynchronous subscribers among themselves. Pattern subscribers are ordered together with the subscribers to the message.
+ *  - throttle - number of milliseconds, the subscriber is called on the first message and then at most once per interval with the latest message
+ *  - debounce - number of milliseconds, the subscriber is called with the latest message when there were no messages for this time
+ *  - reduce - optional function used with throttle or debounce to accumulate data of the messages that were not passed to subscriber, it is called with `(accumulated, data, message)` and should return new accumulated data (`accumulated` is `undefined` for the first message)
+ *  - filter - function or [ml-check](https://github.com/milojs/ml-check) pattern, the subscriber is only called if the function called with `(message, data)` returns true or if data matches the pattern (e.g., `Match.ObjectIncluding({ newValue: Number })`).
+ *    Only the calls of subscriber that pass the filter are counted by `once`. The filter is available in `options` of subscribers returned by [getSubscribers](#getSubscribers).
+ *  Throttled and debounced subscribers are called after the delay using the default [Scheduler](./scheduler.js.html) with the message and data of the latest message (or with accumulated data). Pending calls are cancelled when the subscriber is removed.
+ *  - subscription - true to return [Subscription](./subscription.js.html) handle instead of boolean, it has methods `unsubscribe`, `pause`, `resume` and `isActive`
+ * @return {Boolean|Subscription}
  */
-function Messenger$on(messages, subscriber) {
-    return _Messenger_onWithOptions.call(this, messages, subscriber);
+function Messenger$on(messages, subscriber, options) {
+    return _Messenger_onWithOptions.call(this, messages, subscriber, options);
 }
 
 
-function Messenger$once(messages, subscriber) {
-    return _Messenger_onWithOptions.call(this, messages, subscriber, { dispatchTimes: 1 });
+function Messenger$once(messages, subscriber, options) {
+    return _Messenger_onWithOptions.call(this, messages, subscriber, options, { dispatchTimes: 1 });
 }
 
-function Messenger$onceSync(messages, subscriber) {
-    return _Messenger_onWithOptions.call(this, messages, subscriber, { dispatchTimes: 1, sync: true });
+function Messenger$onceSync(messages, subscriber, options) {
+    return _Messenger_onWithOptions.call(this, messages, subscriber, options, { dispatchTimes: 1, sync: true });
 }
 
 
-function Messenger$onSync(messages, subscriber) {
-    return _Messenger_onWithOptions.call(this, messages, subscriber, { sync: true });
+function Messenger$onSync(messages, subscriber, options) {
+    return _Messenger_onWithOptions.call(this, messages, subscriber, options, { sync: true });
 }
 
 
-function Messenger$onAsync(messages, subscriber) {
-    return _Messenger_onWithOptions.call(this, messages, subscriber, { sync: false });
+function Messenger$onAsync(messages, subscriber, options) {
+    return _Messenger_onWithOptions.call(this, messages, subscriber, options, { sync: false });
 }
 
 
-function _Messenger_onWithOptions(messages, subscriber, options) {
+var subscriberOptionsPattern = Match.Optional(Match.ObjectIncluding({
+    priority: Match.Optional(Number),
+    throttle: Match.Optional(Number),
+    debounce: Match.Optional(Number),
+    reduce: Match.Optional(Function),
+    filter: Match.Optional(Match.Any),
+    subscription: Match.Optional(Boolean)
+}));
+
+
+function _Messenger_onWithOptions(messages, subscriber, options, methodOptions) {
     check(messages, Match.OneOf(String, [String], RegExp));
     check(subscriber, Match.OneOf(Function, {
         subscriber: Function,
         context: Match.Any,
-        options: Match.Optional(Object),
+        options: subscriberOptionsPattern,
+        namespaces: Match.Optional([String])
     }));
+    check(options, subscriberOptionsPattern);
 
     if (typeof subscriber == 'function') {
         subscriber = {
@@ -229,9 +321,19 @@ function _Messenger_onWithOptions(messages, subscriber, options) {
         };
     }
 
-    if (options) {
-        subscriber.options = subscriber.options || {};
-        _.extend(subscriber.options, options);
+    if (options || methodOptions) {
+        subscriber.options = _.extend(subscriber.options || {}, options || {});
+        if (methodOptions) _.extend(subscriber.options, methodOptions);
+    }
+
+    if (subscriber.options && subscriber.options.throttle !== undefined && subscriber.options.debounce !== undefined)
+        throw new Error('Messenger: subscriber can\'t have both throttle and debounce options');
+
+    if (options && options.subscription) {
+        var subscription = new Subscription(this, messages, subscriber);
+        _.defineProperty(subscriber, '__subscription', subscription, _.CONF);
+        _Messenger_on.call(this, messages, subscriber);
+        return subscription;
     }
 
     return _Messenger_on.call(this, messages, subscriber);
@@ -257,7 +359,9 @@ function _eachMessage(methodName, messages, subscriber) {
         var changed = false;
 
         messages.forEach(function(message) {
-            var subscriptionChanged = this[methodName](subscribersHash, message, subscriber);
+            var subscriptionChanged = this._options.namespaces || this._options.wildcards
+                                        ? _eachParsedMessage.call(this, methodName, message, subscriber)
+                                        : this[methodName](subscribersHash, message, subscriber);
             changed = changed || subscriptionChanged;
         }, this);
 
@@ -266,6 +370,72 @@ function _eachMessage(methodName, messages, subscriber) {
 }
 
 
+/**
+ * Calls method for the message with namespaces and/or wildcards.
+ * If the message has only namespaces (e.g. `'.myplugin'`), the method is called for all messages and patterns.
+ *
+ * @private
+ * @param {String} methodName '_registerSubscriber' or '_removeSubscriber'
+ * @param {String} message message that can have namespaces and wildcards
+ * @param {Function|Object} subscriber
+ * @return {Boolean}
+ */
+function _eachParsedMessage(methodName, message, subscriber) {
+    var parsed = _parseMessage.call(this, message)
+        , namespaces = parsed.namespaces;
+
+    if (parsed.message === '' && namespaces) {
+        if (methodName == '_registerSubscriber')
+            throw new Error('Messenger: message is required to subscribe with namespaces ' + message);
+
+        var changed = false;
+        [this._messageSubscribers, this._patternMessageSubscribers].forEach(function(subscribersHash) {
+            Object.keys(subscribersHash).forEach(function(msg) {
+                var msgSubscribers = subscribersHash[msg];
+                var subscriptionChanged = this[methodName](subscribersHash, msgSubscribers.pattern || msg, subscriber, namespaces);
+                changed = changed || subscriptionChanged;
+            }, this);
+        }, this);
+        return changed;
+    }
+
+    var subscribersHash = this._chooseSubscribersHash(parsed.message);
+    return this[methodName](subscribersHash, parsed.message, subscriber, namespaces);
+}
+
+
+/**
+ * Parses message into the message without namespaces (the pattern if the message has wildcards) and the list of namespaces.
+ *
+ * @private
+ * @param {String} message
+ * @return {Object} object with properties `message` (String or RegExp) and `namespaces` (Array[String] or undefined)
+ */
+function _parseMessage(message) {
+    var namespaces;
+    if (this._options.namespaces) {
+        namespaces = message.split('.');
+        message = namespaces.shift();
+        namespaces = namespaces.filter(function(ns) { return ns; });
+        if (! namespaces.length) namespaces = undefined;
+    }
+
+    if (this._options.wildcards && message.indexOf('*') >= 0) {
+        var pattern = message.split('**').map(function(part) {
+            return part.split('*').map(escapeRegExp).join('[^:]*');
+        }).join('.*');
+        message = new RegExp('^' + pattern + '$');
+    }
+
+    return { message: message, namespaces: namespaces };
+}
+
+
+function escapeRegExp(str) {
+    return str.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+}
+
+
 /**
  * "Private" Messenger instance method
  * It is called by [on](#Messenger$on) to register subscriber for one message type.
@@ -276,9 +446,10 @@ function _eachMessage(methodName, messages, subscriber) {
  * @param {Object} subscribersHash The map of subscribers determined by [on](#Messenger$on) based on Message type, can be `this._patternMessageSubscribers` or `this._messageSubscribers`
  * @param {String} message Message type
  * @param {Function|Object} subscriber Subscriber function to be added or object with properties `subscriber` (function) and `context` (value of "this" when subscriber is called)
+ * @param {Array[String]} namespaces optional list of namespaces that the subscriber is added with
  * @return {Boolean}
  */
-function _registerSubscriber(subscribersHash, message, subscriber) {
+function _registerSubscriber(subscribersHash, message, subscriber, namespaces) {
     if (! (subscribersHash[message] && subscribersHash[message].length)) {
         subscribersHash[message] = [];
         if (message instanceof RegExp)
@@ -291,13 +462,59 @@ function _registerSubscriber(subscribersHash, message, subscriber) {
     var msgSubscribers = subscribersHash[message];
     var notYetRegistered = noSubscribers || _indexOfSubscriber.call(this, msgSubscribers, subscriber) == -1;
 
-    if (notYetRegistered)
-        msgSubscribers.push(subscriber);
+    if (notYetRegistered) {
+        if (namespaces) {
+            subscriber = _.clone(subscriber);
+            subscriber.namespaces = namespaces;
+        }
+
+        // the list is kept ordered by priority, subscriber is added after all subscribers with the same priority
+        var priority = _subscriberPriority(subscriber)
+            , index = _.findIndex(msgSubscribers, function(subscr) {
+                return _subscriberPriority(subscr) < priority;
+            });
+        if (index == -1)
+            msgSubscribers.push(subscriber);
+        else
+            msgSubscribers.splice(index, 0, subscriber);
+
+        if (_hooks.length) _callHooks('onSubscribe', [this, message, subscriber]);
+
+        _replayStickyMessages.call(this, subscribersHash, message, subscriber);
+    }
 
     return notYetRegistered;
 }
 
 
+function _subscriberPriority(subscriber) {
+    return (subscriber.options && subscriber.options.priority) || 0;
+}
+
+
+/**
+ * "Private" Messenger instance method
+ * Returns true if the subscriber is subscribed to some of the messages. It is used by [Subscription](./subscription.js.html).
+ *
+ * @private
+ * @param {String|Array[String]|RegExp} messages messages as passed to `on`
+ * @param {Object} subscriber object with properties `subscriber` and `context`
+ * @return {Boolean}
+ */
+function _isSubscribed(messages, subscriber) {
+    return _eachMessage.call(this, '_hasSubscriber', messages, subscriber);
+}
+
+
+function _hasSubscriber(subscribersHash, message, subscriber, namespaces) {
+    var msgSubscribers = subscribersHash[message];
+    return !! msgSubscribers && msgSubscribers.some(function(subscr) {
+        return _indexOfSubscriber.call(this, [subscr], subscriber) == 0
+                && (! namespaces || _hasNamespaces(subscr, namespaces));
+    }, this);
+}
+
+
 /**
  * Finds subscriber index in the list
  *
@@ -326,19 +543,23 @@ function _indexOfSubscriber(list, subscriber) {
  * function onMouseUp(eventType, event) {}
  * ```
  * Returns map with the same keys (message types) and boolean values indicating whether particular subscriber was added.
+ * If `subscription` option is true, returns [CompositeSubscription](./subscription.js.html) with the handles of all subscribers.
  * It is NOT possible to add pattern subscriber using this method, as although you can use RegExp as the key, JavaScript will automatically convert it to string.
  *
  * @param {Object[Function]} messageSubscribers Map of message subscribers to be added
- * @return {Object[Boolean]}
+ * @param {Object} options Optional subscription options used for all subscribers, see [on](#Messenger$on)
+ * @return {Object[Boolean]|CompositeSubscription}
  */
-function onMessages(messageSubscribers) {
+function onMessages(messageSubscribers, options) {
     check(messageSubscribers, Match.ObjectHash(Match.OneOf(Function, { subscriber: Function, context: Match.Any })));
 
     var notYetRegisteredMap = _.mapKeys(messageSubscribers, function(subscriber, messages) {
-        return this.on(messages, subscriber);
+        return this.on(messages, subscriber, options);
     }, this);
 
-    return notYetRegisteredMap;
+    return options && options.subscription
+            ? new Subscription.Composite(_.values(notYetRegisteredMap))
+            : notYetRegisteredMap;
 }
 
 
@@ -359,6 +580,8 @@ function onMessages(messageSubscribers) {
  *  If an array of strings is passed, each string is a message type to remove a subscriber for.
  *  If a RegExp is passed, the pattern subscriber will be removed.
  *  RegExp subscriber does NOT cause any subscription to MessageSource, it only captures messages that are already subscribed to with precise message types.
+ *  If messenger was created with `namespaces` option, the message can have namespaces, only the subscribers added with all these namespaces will be removed.
+ *  The message with namespaces only (e.g. `'.myplugin'`) removes subscribers with these namespaces from all messages.
  * @param {Function} subscriber Message subscriber - Optional function that will be removed from the list of subscribers for the message(s). If subscriber is not supplied, all subscribers will be removed from this message(s).
  * @return {Boolean}
  */
@@ -368,6 +591,7 @@ function Messenger$off(messages, subscriber) {
         subscriber: Function,
         context: Match.Any,
         options: Match.Optional(Object),
+        namespaces: Match.Optional([String]),
         // __messages: Match.Optional(Match.OneOf(String, [String], RegExp))
     })));
 
@@ -390,21 +614,50 @@ function _Messenger_off(messages, subscriber) {
  * @param {Object} subscribersHash The map of subscribers determined by [off](#Messenger$off) based on message type, can be `this._patternMessageSubscribers` or `this._messageSubscribers`
  * @param {String} message Message type
  * @param {Function} subscriber Subscriber function to be removed
+ * @param {Array[String]} namespaces optional list of namespaces, only subscribers added with all these namespaces are removed
  * @return {Boolean}
  */
-function _removeSubscriber(subscribersHash, message, subscriber) {
+function _removeSubscriber(subscribersHash, message, subscriber, namespaces) {
     var msgSubscribers = subscribersHash[message];
     if (! msgSubscribers || ! msgSubscribers.length)
         return false; // nothing removed
 
-    if (subscriber) {
+    if (namespaces) {
+        if (typeof subscriber == 'function')
+            subscriber = { subscriber: subscriber, context: this._hostObject };
+
+        var removed = [];
+        var remaining = msgSubscribers.filter(function(subscr) {
+            var remove = _hasNamespaces(subscr, namespaces)
+                        && (! subscriber || _indexOfSubscriber.call(this, [subscr], subscriber) == 0);
+            if (remove) {
+                _cancelDelayedCall(subscr);
+                removed.push(subscr);
+            }
+            return ! remove;
+        }, this);
+        if (! removed.length)
+            return false; // nothing removed
+        if (remaining.length) {
+            msgSubscribers.length = 0;
+            _.appendArray(msgSubscribers, remaining);
+            if (_hooks.length)
+                removed.forEach(function(subscr) {
+                    _callHooks('onUnsubscribe', [this, message, subscr]);
+                }, this);
+        } else
+            this._removeAllSubscribers(subscribersHash, message);
+
+    } else if (subscriber) {
         if (typeof subscriber == 'function')
             subscriber = { subscriber: subscriber, context: this._hostObject };
 
         var subscriberIndex = _indexOfSubscriber.call(this, msgSubscribers, subscriber);
         if (subscriberIndex == -1)
             return false; // nothing removed
-        msgSubscribers.splice(subscriberIndex, 1);
+        _cancelDelayedCall(msgSubscribers[subscriberIndex]);
+        var removedSubscriber = msgSubscribers.splice(subscriberIndex, 1)[0];
+        if (_hooks.length) _callHooks('onUnsubscribe', [this, message, removedSubscriber]);
         if (! msgSubscribers.length)
             this._removeAllSubscribers(subscribersHash, message);
 
@@ -415,6 +668,14 @@ function _removeSubscriber(subscribersHash, message, subscriber) {
 }
 
 
+function _hasNamespaces(subscriber, namespaces) {
+    var subscriberNamespaces = subscriber.namespaces;
+    return !! subscriberNamespaces && namespaces.every(function(ns) {
+        return subscriberNamespaces.indexOf(ns) >= 0;
+    });
+}
+
+
 /**
  * "Private" Messenger instance method
  * It is called by [_removeSubscriber](#_removeSubscriber) to remove all subscribers for one message type.
@@ -425,7 +686,13 @@ function _removeSubscriber(subscribersHash, message, subscriber) {
  * @param {String} message Message type
  */
 function _removeAllSubscribers(subscribersHash, message) {
+    var msgSubscribers = subscribersHash[message];
+    if (msgSubscribers) msgSubscribers.forEach(_cancelDelayedCall);
     delete subscribersHash[message];
+    if (_hooks.length && msgSubscribers)
+        msgSubscribers.forEach(function(subscr) {
+            _callHooks('onUnsubscribe', [this, message, subscr]);
+        }, this);
     if (this._messageSource && typeof message == 'string')
         this._messageSource.onSubscriberRemoved(message);
 }
@@ -485,25 +752,215 @@ function _offAllSubscribers(subscribersHash) {
  * Each subscriber is passed the same parameters that are passed to theis method.
  * The context of the subscriber envocation is set to the host object (`this._hostObject`) that was passed to the messenger constructor.
  * Subscribers are called in the next tick ("asynchronously") apart from those that were subscribed with `onSync` (or that have `options.sync == true`).
+ * Subscribers are called in the order of their priority (see [on](#Messenger$on)), pattern subscribers with the same priority are called after the subscribers to the message.
+ * Each subscriber is also passed the dispatch object ([MessageDispatch](#MessageDispatch)) as the fourth parameter. Subscriber can call its method `stopPropagation` to prevent calling the remaining subscribers (both to the message and pattern subscribers) and to cancel the message:
+ * ```
+ * model.onSync('beforechange', function(msg, data, callback, dispatch) {
+ *     if (! isValid(data)) dispatch.stopPropagation();
+ * }, { priority: 10 });
+ *
+ * var cancelled = model.postMessageSync('beforechange', data);
+ * ```
+ * Asynchronous subscribers that were not yet called when propagation is stopped will not be called either.
+ *
+ * If subscriber throws, the remaining subscribers are still called and the exception is posted as "error" message on the messenger with data `{ error, message, data, subscriber }` (and passed to the global handler, see [useErrorHandler](#useErrorHandler)).
+ * If there are no "error" subscribers and no global handler, the exception is rethrown after all synchronous subscribers are called (the exception in asynchronous subscriber is logged with [logger](../util/logger.js.html) instead). Exceptions in "error" subscribers are not posted again.
+ * In strict mode (see [useStrictMode](#useStrictMode)) the exception is rethrown immediately and the remaining subscribers are not called.
+ *
+ * Sticky messages (posted with `sticky: true` option or listed in `stickyMessages` option of the messenger) are retained, so the subscribers added later to this message or to the matching pattern immediately receive the last posted data:
+ * ```
+ * messenger.postMessage('ready', state, { sticky: true });
+ * messenger.on('ready', onReady); // onReady is called with state
+ * ```
+ * If messenger has `replayBufferSize` option, the last posts of the message up to this number are retained and replayed in the order they were posted.
+ * Replayed messages are dispatched to the new subscriber in the same way as they were dispatched originally (e.g., synchronously for `onSync` subscribers if they were posted with `postMessageSync`).
+ * Retained messages can be inspected with [getStickyMessages](#getStickyMessages) and removed with [clearStickyMessages](#clearStickyMessages).
  *
  * @param {String|RegExp} message message to be dispatched
  *  If the message is a string, the subscribers registered with exactly this message will be called and also pattern subscribers registered with the pattern that matches the dispatched message.
  *  If the message is RegExp, only the subscribers registered with exactly this pattern will be called.
  * @param {Any} data data that will be passed to the subscriber as the second parameter. Messenger does not modify this data in any way.
- * @param {Function} callback optional callback to pass to subscriber
+ * @param {Function|Object} callback optional callback to pass to subscriber or options object with properties:
+ *  - sticky - true to retain the message for the subscribers added later, only string messages can be sticky
+ *  - callback - optional callback to pass to subscriber
  * @param {Boolean} _synchronous if true passed, subscribers will be envoked synchronously apart from those that have `options.sync == false`. This parameter should not be used, instead postMessageSync should be used.
+ * @return {Boolean} true if one of synchronous subscribers stopped propagation of the message
  */
 function postMessage(message, data, callback, _synchronous) {
     check(message, Match.OneOf(String, RegExp));
-    check(callback, Match.Optional(Function));
+    check(callback, Match.Optional(Match.OneOf(Function, {
+        sticky: Match.Optional(Boolean),
+        callback: Match.Optional(Function)
+    })));
 
+    var options;
+    if (callback && typeof callback == 'object') {
+        options = callback;
+        callback = options.callback;
+    }
+
+    if (_isSticky.call(this, message, options))
+        _retainMessage.call(this, message, data, callback, _synchronous);
+
+    return _postMessage.call(this, message, data, callback, _synchronous, new MessageDispatch);
+}
+
+
+/**
+ * Records the message, calls instrumentation hooks and dispatches the message.
+ * Used by [postMessage](#postMessage) and [request](#Messenger$request).
+ *
+ * @private
+ * @param {String|RegExp} message
+ * @param {Any} data
+ * @param {Function} callback
+ * @param {Boolean} _synchronous
+ * @param {MessageDispatch} dispatch
+ * @return {Boolean} true if the message was cancelled
+ */
+function _postMessage(message, data, callback, _synchronous, dispatch) {
+    // recorders attached to messenger, see Recorder
+    if (this._recorders.length)
+        this._recorders.forEach(function(recorder) {
+            recorder._record(this, message, data, _synchronous);
+        }, this);
+
+    if (_hooks.length) _callHooks('beforePost', [this, message, data, !! _synchronous]);
+
+    var cancelled = _dispatchMessage.call(this, message, data, callback, _synchronous, dispatch)
+                        && dispatch.propagationStopped;
+
+    if (_hooks.length) _callHooks('afterPost', [this, message, data, !! _synchronous, cancelled]);
+    return cancelled;
+}
+
+
+/**
+ * Calls subscribers to the message and matching pattern subscribers.
+ *
+ * @private
+ * @param {String|RegExp} message
+ * @param {Any} data
+ * @param {Function} callback
+ * @param {Boolean} _synchronous
+ * @param {MessageDispatch} dispatch
+ * @return {Boolean} true if there were subscribers
+ */
+function _dispatchMessage(message, data, callback, _synchronous, dispatch) {
     var subscribersHash = this._chooseSubscribersHash(message);
     var msgSubscribers = subscribersHash[message];
 
-    this._callSubscribers(message, data, callback, msgSubscribers, _synchronous);
+    if (typeof message == 'string') {
+        var patternSubscribers = this._getPatternSubscribers(message, msgSubscribers);
+        if (patternSubscribers.length)
+            msgSubscribers = _mergeSubscribers(msgSubscribers, patternSubscribers);
+    }
+
+    if (! (msgSubscribers && msgSubscribers.length)) return false;
+
+    this._callSubscribers(message, data, callback, msgSubscribers, _synchronous, dispatch);
+    return true;
+}
+
+
+function _isSticky(message, options) {
+    if (options && options.sticky) {
+        if (typeof message != 'string')
+            throw new Error('Messenger: only string messages can be sticky');
+        return true;
+    }
+    var stickyMessages = this._options.stickyMessages;
+    return !! stickyMessages && stickyMessages.indexOf(message) >= 0;
+}
+
 
+function _retainMessage(message, data, callback, _synchronous) {
+    var posts = this._stickyPosts[message] = this._stickyPosts[message] || []
+        , bufferSize = this._options.replayBufferSize || 1;
+
+    posts.push({
+        message: message,
+        data: data,
+        callback: callback,
+        synchronous: !! _synchronous,
+        sequence: _stickySequence++
+    });
+    if (posts.length > bufferSize)
+        posts.splice(0, posts.length - bufferSize);
+}
+
+
+/**
+ * Calls the new subscriber with retained sticky messages that match the message (or the pattern) it was subscribed to.
+ * Replay stops if the subscriber is removed (e.g., when it is subscribed with `once`).
+ *
+ * @private
+ * @param {Object} subscribersHash the map of subscribers the subscriber was added to
+ * @param {String|RegExp} message
+ * @param {Object} subscriber
+ */
+function _replayStickyMessages(subscribersHash, message, subscriber) {
+    var posts = _getStickyPosts.call(this, message);
+    if (! posts.length) return;
+
+    var unhandledError;
+    for (var i = 0; i < posts.length; i++) {
+        var msgSubscribers = subscribersHash[message];
+        if (! msgSubscribers || msgSubscribers.indexOf(subscriber) == -1) break;
+        var post = posts[i]
+            , error = this._callSubscriber(subscriber, post.message, post.data, post.callback, post.synchronous, new MessageDispatch);
+        unhandledError = unhandledError || error;
+    }
+
+    if (unhandledError) throw unhandledError;
+}
+
+
+function _getStickyPosts(message) {
+    var stickyPosts = this._stickyPosts;
     if (typeof message == 'string')
-        this._callPatternSubscribers(message, data, callback, msgSubscribers, _synchronous);
+        return stickyPosts[message] ? stickyPosts[message].slice() : [];
+
+    var posts = [];
+    _.eachKey(stickyPosts, function(msgPosts, msg) {
+        if (! message || message.test(msg))
+            _.appendArray(posts, msgPosts);
+    });
+    return posts.sort(function(post1, post2) {
+        return post1.sequence - post2.sequence;
+    });
+}
+
+
+/**
+ * Messenger instance method.
+ * Returns the list of retained sticky messages as objects `{ message, data }` in the order they were posted.
+ *
+ * @param {String|RegExp} message optional message or pattern, all retained messages are returned if not passed
+ * @return {Array[Object]}
+ */
+function getStickyMessages(message) {
+    check(message, Match.Optional(Match.OneOf(String, RegExp)));
+
+    return _getStickyPosts.call(this, message).map(function(post) {
+        return { message: post.message, data: post.data };
+    });
+}
+
+
+/**
+ * Messenger instance method.
+ * Removes retained sticky messages, so they are not replayed to new subscribers.
+ *
+ * @param {String|RegExp} message optional message or pattern, all retained messages are removed if not passed
+ */
+function clearStickyMessages(message) {
+    check(message, Match.Optional(Match.OneOf(String, RegExp)));
+
+    _.eachKey(this._stickyPosts, function(posts, msg) {
+        if (! message || (typeof message == 'string' ? message == msg : message.test(msg)))
+            delete this._stickyPosts[msg];
+    }, this);
 }
 
 
@@ -512,68 +969,313 @@ function postMessage(message, data, callback, _synchronous) {
  *
  * @param {String|RegExp} message
  * @param {Any} data
- * @param {Function} callback
+ * @param {Function|Object} callback optional callback or options object, see [postMessage](#postMessage)
+ * @return {Boolean} true if one of subscribers stopped propagation of the message, i.e. the message was cancelled
  */
 function postMessageSync(message, data, callback) {
-    this.postMessage(message, data, callback, true);
+    return this.postMessage(message, data, callback, true);
+}
+
+
+/**
+ * Messenger instance method.
+ * Returns the promise that resolves when the message is dispatched.
+ * The promise resolves with the object `{ msg, data }`, it is rejected if the message is not dispatched in `timeout` milliseconds (measured with the default [Scheduler](./scheduler.js.html)) or if messenger is destroyed.
+ * Usage:
+ * ```
+ * var message = await model._messenger.waitFor('.status', {
+ *     timeout: 1000,
+ *     filter: function(msg, data) { return data.newValue == 'ready'; }
+ * });
+ * ```
+ *
+ * @param {String|Array[String]|RegExp} message message(s) to wait for, the same as in [on](#Messenger$on) method
+ * @param {Object} options optional object with properties `timeout` (milliseconds) and `filter` (function that is passed message and data and should return true for the message to resolve the promise)
+ * @return {Promise}
+ */
+function Messenger$waitFor(message, options) {
+    check(message, Match.OneOf(String, [String], RegExp));
+    check(options, Match.Optional({
+        timeout: Match.Optional(Number),
+        filter: Match.Optional(Function)
+    }));
+    options = options || {};
+
+    var self = this;
+    return new Promise(function(resolve, reject) {
+        if (self._destroyed)
+            return reject(new Error('Messenger: messenger is destroyed'));
+
+        // the subscriber can be called synchronously when it is added, so the timeout and cancelling are set up first
+        var timer;
+        self._addAsyncSubscription(cancel);
+        if (options.timeout !== undefined)
+            timer = Scheduler.defer(function() {
+                finish();
+                reject(new Error('Messenger: timeout waiting for message ' + message));
+            }, options.timeout);
+        self.onSync(message, subscriber);
+
+
+        function subscriber(msg, data) {
+            try {
+                if (options.filter && ! options.filter(msg, data)) return;
+            } catch (e) {
+                finish();
+                return reject(e);
+            }
+            finish();
+            resolve({ msg: msg, data: data });
+        }
+
+        function cancel() {
+            finish();
+            reject(new Error('Messenger: messenger destroyed while waiting for message ' + message));
+        }
+
+        function finish() {
+            if (timer) timer.cancel();
+            self.off(message, subscriber);
+            self._removeAsyncSubscription(cancel);
+        }
+    });
+}
+
+
+/**
+ * Messenger instance method.
+ * Returns async iterator of dispatched messages, see [MessageStream](./m_stream.js.html).
+ * Usage:
+ * ```
+ * for await (var message of messenger.stream('added removed')) {
+ *     // message.msg, message.data
+ * }
+ * ```
+ *
+ * @param {String|Array[String]|RegExp} messages messages to iterate, the same as in [on](#Messenger$on) method
+ * @return {MessageStream}
+ */
+function Messenger$stream(messages) {
+    check(messages, Match.OneOf(String, [String], RegExp));
+    return new MessageStream(this, messages);
+}
+
+
+/**
+ * Messenger instance method.
+ * Dispatches the message as request and returns the promise of the response.
+ * Subscribers are called synchronously (apart from those subscribed with `onAsync`), the values they return (apart from `undefined`) are responses, they can be promises.
+ * Usage:
+ * ```
+ * messenger.handle('getUser', function(msg, data) {
+ *     return loadUser(data.id); // returns promise
+ * });
+ *
+ * messenger.request('getUser', { id: 1 }, { timeout: 1000 })
+ * .then(function(user) {
+ *     // ...
+ * });
+ * ```
+ * In "first" mode (default) the promise is resolved with the response of the first subscriber that returned a value (the remaining subscribers are not called), it is rejected if no subscriber returned a value.
+ * In "all" mode the promise is resolved with the array of all responses (when all promises are resolved).
+ * The promise is rejected if some subscriber throws, the exception is not posted as "error" message.
+ * The request is dispatched in the same way as posted messages, so it is seen by [recorders](./recorder.js.html) and instrumentation hooks (see [addHook](#addHook)), but it is not retained as sticky message.
+ *
+ * @param {String} message message to dispatch
+ * @param {Any} data data passed to subscribers
+ * @param {Object} options optional object with properties:
+ *  - timeout - number of milliseconds (measured with the default [Scheduler](./scheduler.js.html)) after which the promise is rejected if the response is not resolved
+ *  - mode - "first" (default) or "all"
+ * @return {Promise}
+ */
+function Messenger$request(message, data, options) {
+    check(message, String);
+    check(options, Match.Optional({
+        timeout: Match.Optional(Number),
+        mode: Match.Optional(Match.Where(function(mode) {
+            return mode == 'first' || mode == 'all';
+        }))
+    }));
+    options = options || {};
+
+    var self = this;
+    return new Promise(function(resolve, reject) {
+        if (self._destroyed)
+            return reject(new Error('Messenger: messenger is destroyed'));
+
+        var request = { responses: [], mode: options.mode || 'first' }
+            , dispatch = new MessageDispatch;
+        _.defineProperty(dispatch, '_request', request, _.WRIT);
+        _postMessage.call(self, message, data, undefined, true, dispatch);
+        dispatch._request = undefined;
+
+        if (request.error)
+            return reject(request.error);
+
+        var response;
+        if (options.mode == 'all')
+            response = Promise.all(request.responses);
+        else if (request.responses.length)
+            response = Promise.resolve(request.responses[0]);
+        else
+            return reject(new Error('Messenger: no response to request ' + message));
+
+        if (options.timeout === undefined)
+            return resolve(response);
+
+        var timer = Scheduler.defer(function() {
+            reject(new Error('Messenger: timeout waiting for response to request ' + message));
+        }, options.timeout);
+
+        response.then(function(value) {
+            timer.cancel();
+            resolve(value);
+        }, function(error) {
+            timer.cancel();
+            reject(error);
+        });
+    });
+}
+
+
+/**
+ * Messenger instance method.
+ * Registers the responder for [request](#Messenger$request). Only one responder can be registered for the message, it throws if the message already has responder.
+ * Responder is subscribed synchronously, it is called with the same parameters as other subscribers and should return the response (or the promise of the response).
+ * Responder can be removed with `off` method or using returned subscription handle.
+ *
+ * @param {String} message single message to respond to
+ * @param {Function} responder
+ * @return {Subscription}
+ */
+function Messenger$handle(message, responder) {
+    check(message, Match.Where(function(msg) {
+        return typeof msg == 'string' && msg.split(messagesSplitRegExp).length == 1;
+    }));
+    check(responder, Function);
+
+    var parsedMessage = this._options.namespaces || this._options.wildcards
+                            ? _parseMessage.call(this, message).message
+                            : message
+        , msgSubscribers = this._chooseSubscribersHash(parsedMessage)[parsedMessage]
+        , hasResponder = msgSubscribers && msgSubscribers.some(function(subscriber) {
+            return subscriber.options && subscriber.options.responder;
+        });
+
+    if (hasResponder)
+        throw new Error('Messenger: responder for message ' + message + ' is already registered');
+
+    return _Messenger_onWithOptions.call(this, message, responder, { subscription: true }, { sync: true, responder: true });
+}
+
+
+function _addAsyncSubscription(cancel) {
+    this._asyncSubscriptions.push(cancel);
+}
+
+
+function _removeAsyncSubscription(cancel) {
+    _.spliceItem(this._asyncSubscriptions, cancel);
 }
 
 
 /**
  * "Private" Messenger instance method
- * Envokes pattern subscribers with the pattern that matches the message.
- * The method is called by [postMessage](#postMessage) - see more information there.
+ * Returns the list of pattern subscribers with the pattern that matches the message, ordered by priority.
+ * The method is called by [postMessage](#postMessage) and [getSubscribers](#getSubscribers).
  *
  * @private
- * @param {String} message message to be dispatched. Pattern subscribers registered with the pattern that matches the dispatched message will be called.
- * @param {Any} data data that will be passed to the subscriber as the second parameter. Messenger does not modify this data in any way.
- * @param {Function} callback optional callback to pass to subscriber
- * @param {Array[Function|Object]} calledMsgSubscribers array of subscribers already called, they won't be called again if they are among pattern subscribers.
+ * @param {String} message message to match patterns against
+ * @param {Array[Function|Object]} excludeSubscribers optional array of subscribers that should not be included, e.g. subscribers to the message that are called anyway.
+ * @return {Array[Object]}
  */
-function _callPatternSubscribers(message, data, callback, calledMsgSubscribers, _synchronous) {
+function _getPatternSubscribers(message, excludeSubscribers) {
+    var subscribers = [];
     _.eachKey(this._patternMessageSubscribers,
         function(patternSubscribers) {
             var pattern = patternSubscribers.pattern;
-            if (pattern.test(message)) {
-                if (calledMsgSubscribers) {
-                    var patternSubscribers = patternSubscribers.filter(function(subscriber) {
-                        var index = _indexOfSubscriber.call(this, calledMsgSubscribers, subscriber);
-                        return index == -1;
-                    });
+            if (patternSubscribers.length && pattern.test(message)) {
+                if (excludeSubscribers) {
+                    patternSubscribers = patternSubscribers.filter(function(subscriber) {
+                        return _indexOfSubscriber.call(this, excludeSubscribers, subscriber) == -1;
+                    }, this);
                 }
-                this._callSubscribers(message, data, callback, patternSubscribers, _synchronous);
+                subscribers = _mergeSubscribers(subscribers, patternSubscribers);
             }
         }
     , this);
+    return subscribers;
+}
+
+
+/**
+ * Merges two lists of subscribers ordered by priority.
+ * Subscribers with the same priority from the first list are put before the subscribers from the second list.
+ *
+ * @private
+ * @param {Array[Object]} subscribers1 optional list of subscribers
+ * @param {Array[Object]} subscribers2 list of subscribers
+ * @return {Array[Object]}
+ */
+function _mergeSubscribers(subscribers1, subscribers2) {
+    if (! subscribers1 || ! subscribers1.length) return subscribers2.slice();
+
+    var merged = []
+        , i = 0, j = 0;
+    while (i < subscribers1.length && j < subscribers2.length) {
+        if (_subscriberPriority(subscribers2[j]) > _subscriberPriority(subscribers1[i]))
+            merged.push(subscribers2[j++]);
+        else
+            merged.push(subscribers1[i++]);
+    }
+    return merged.concat(subscribers1.slice(i), subscribers2.slice(j));
 }
 
 
 /**
  * "Private" Messenger instance method
  * Envokes subscribers from the passed list.
- * The method is called by [postMessage](#postMessage) and [_callPatternSubscribers](#_callPatternSubscribers).
+ * The method is called by [postMessage](#postMessage).
  *
  * @private
  * @param {String} message message to be dispatched, passed to subscribers as the first parameter.
  * @param {Any} data data that will be passed to the subscriber as the second parameter. Messenger does not modify this data in any way.
  * @param {Array[Function|Object]} msgSubscribers the array of message subscribers to be called. Each subscriber is called with the host object (see Messenger constructor) as the context.
  * @param {Function} callback optional callback to pass to subscriber
+ * @param {Boolean} _synchronous true if message is dispatched with postMessageSync
+ * @param {MessageDispatch} dispatch dispatch object passed to subscribers as the fourth parameter, no subscribers are called after its propagation is stopped
  */
-function _callSubscribers(message, data, callback, msgSubscribers, _synchronous) {
+function _callSubscribers(message, data, callback, msgSubscribers, _synchronous, dispatch) {
     if (msgSubscribers && msgSubscribers.length) {
         // cloning is necessary as some of the subscribers
         // can be unsubscribed during the dispatch
         // so this array would change in the process
         msgSubscribers = msgSubscribers.slice();
 
-        msgSubscribers.forEach(function(subscriber) {
-            this._callSubscriber(subscriber, message, data, callback, _synchronous);
-        }, this);
+        var unhandledError;
+        for (var i = 0; i < msgSubscribers.length; i++) {
+            if (dispatch.propagationStopped) break;
+            var error = this._callSubscriber(msgSubscribers[i], message, data, callback, _synchronous, dispatch);
+            unhandledError = unhandledError || error;
+        }
+
+        if (unhandledError) throw unhandledError;
     }
 }
 
 
-function _callSubscriber(subscriber, message, data, callback, _synchronous) {
+function _callSubscriber(subscriber, message, data, callback, _synchronous, dispatch) {
+    if (subscriber.__subscription && subscriber.__subscription.paused) return;
+
+    var filter = subscriber.options && subscriber.options.filter;
+    if (filter !== undefined) {
+        try {
+            if (! _filterMatches(filter, message, data)) return;
+        } catch (error) {
+            return _handleSubscriberError.call(this, error, subscriber, message, data);
+        }
+    }
+
     var syncSubscriber = subscriber.options && subscriber.options.sync
         , synchro = (_synchronous && syncSubscriber !== false)
                   || syncSubscriber;
@@ -587,30 +1289,313 @@ function _callSubscriber(subscriber, message, data, callback, _synchronous) {
             subscriber.options.dispatchTimes--;
     }
 
+    var options = subscriber.options;
+    if (options && (options.throttle !== undefined || options.debounce !== undefined)
+            && _delayCall.call(this, subscriber, message, data, callback, dispatch))
+        return;
+
     if (synchro) {
-        subscriber.subscriber.call(subscriber.context, message, data, callback);
+        return _invokeSubscriber.call(this, subscriber, message, data, callback, dispatch);
     } else {
         var messenger = this;
-        _setTimeout(function() {
-            if (!messenger._destroyed) subscriber.subscriber.call(subscriber.context, message, data, callback);
-        }, 0);
+        (this._scheduler || Scheduler.getDefault()).schedule(function() {
+            if (!messenger._destroyed && !dispatch.propagationStopped) {
+                var error = _invokeSubscriber.call(messenger, subscriber, message, data, callback, dispatch);
+                if (error) _logAsyncError(error);
+            }
+        });
+    }
+}
+
+
+function _filterMatches(filter, message, data) {
+    return typeof filter == 'function'
+            ? filter(message, data)
+            : Match.test(data, filter);
+}
+
+
+/**
+ * Handles the message for throttled or debounced subscriber.
+ * Returns true if the call is delayed, false if the subscriber should be called now (the first message for throttled subscriber).
+ *
+ * @private
+ * @param {Object} subscriber subscriber with `throttle` or `debounce` option
+ * @return {Boolean}
+ */
+function _delayCall(subscriber, message, data, callback, dispatch) {
+    var options = subscriber.options
+        , isThrottled = options.throttle !== undefined
+        , state = subscriber.__delayedCall;
+
+    if (! state) {
+        state = {};
+        _.defineProperty(subscriber, '__delayedCall', state);
+    }
+
+    if (isThrottled && ! state.timer) {
+        startTimer.call(this);
+        return false;
+    }
+
+    state.call = {
+        message: message,
+        data: options.reduce
+                ? options.reduce(state.call && state.call.data, data, message)
+                : data,
+        callback: callback,
+        dispatch: dispatch
+    };
+
+    if (! isThrottled) {
+        if (state.timer) state.timer.cancel();
+        startTimer.call(this);
+    }
+    return true;
+
+
+    function startTimer() {
+        var messenger = this;
+        state.timer = Scheduler.defer(function() {
+            var call = state.call;
+            state.call = state.timer = undefined;
+            if (! call || messenger._destroyed) return;
+            if (isThrottled) startTimer.call(messenger);
+            var error = _invokeSubscriber.call(messenger, subscriber, call.message, call.data, call.callback, call.dispatch);
+            if (error) _logAsyncError(error);
+        }, isThrottled ? options.throttle : options.debounce);
+    }
+}
+
+
+function _cancelDelayedCall(subscriber) {
+    var state = subscriber.__delayedCall;
+    if (state) {
+        if (state.timer) state.timer.cancel();
+        state.call = state.timer = undefined;
+    }
+}
+
+
+/**
+ * Calls subscriber catching its exception (unless in strict mode).
+ * Returns the exception if it was not handled (see [postMessage](#postMessage)).
+ *
+ * @private
+ * @return {Error|undefined}
+ */
+function _invokeSubscriber(subscriber, message, data, callback, dispatch) {
+    if (! _hooks.length)
+        return _invokeSubscriberFunction.call(this, subscriber, message, data, callback, dispatch);
+
+    _callHooks('beforeCall', [this, message, data, subscriber]);
+    try {
+        return _invokeSubscriberFunction.call(this, subscriber, message, data, callback, dispatch);
+    } finally {
+        _callHooks('afterCall', [this, message, data, subscriber]);
+    }
+}
+
+
+function _invokeSubscriberFunction(subscriber, message, data, callback, dispatch) {
+    if (dispatch._request)
+        return _invokeResponder(subscriber, message, data, callback, dispatch);
+
+    if (_strictMode)
+        return void subscriber.subscriber.call(subscriber.context, message, data, callback, dispatch);
+
+    try {
+        subscriber.subscriber.call(subscriber.context, message, data, callback, dispatch);
+    } catch (error) {
+        return _handleSubscriberError.call(this, error, subscriber, message, data);
+    }
+}
+
+
+/**
+ * Calls subscriber during [request](#Messenger$request), the returned value is added to responses, the exception rejects the request.
+ *
+ * @private
+ */
+function _invokeResponder(subscriber, message, data, callback, dispatch) {
+    var request = dispatch._request;
+    try {
+        var response = subscriber.subscriber.call(subscriber.context, message, data, callback, dispatch);
+        if (response !== undefined) {
+            request.responses.push(response);
+            if (request.mode == 'first') dispatch.stopPropagation();
+        }
+    } catch (error) {
+        request.error = request.error || error;
     }
 }
 
 
+function _handleSubscriberError(error, subscriber, message, data) {
+    var errorData = {
+        error: error,
+        message: message,
+        data: data,
+        subscriber: subscriber
+    };
+
+    var canPost = message != 'error' && !! this.getSubscribers('error');
+    if (_errorHandler)
+        _errorHandler(errorData, this);
+    if (canPost)
+        this.postMessageSync('error', errorData);
+
+    if (! (canPost || _errorHandler))
+        return error;
+}
+
+
+/**
+ * `Messenger.MessageDispatch`
+ * The object passed to subscribers as the fourth parameter, it is created for each dispatched message.
+ * Subscriber can call `stopPropagation` to prevent calling the remaining subscribers.
+ */
+function MessageDispatch() {
+    this.propagationStopped = false;
+}
+
+
+_.extendProto(MessageDispatch, {
+    stopPropagation: MessageDispatch$stopPropagation
+});
+
+
+function MessageDispatch$stopPropagation() {
+    this.propagationStopped = true;
+}
+
+
 /**
  * Replace setTimeout with another function (e.g. setImmediate in node or milo.util.zeroTimeout in browser)
+ * It replaces the default scheduler, see [useScheduler](#useScheduler).
  *
  * @param  {Function} setTimeoutFunc function to use to delay execution
  */
 function useSetTimeout(setTimeoutFunc) {
-    _setTimeout = setTimeoutFunc;
+    useScheduler(new Scheduler(function(task, delay) {
+        setTimeoutFunc(task, delay || 0);
+    }));
+}
+
+
+/**
+ * Sets the default scheduler used to call asynchronous subscribers of messengers created without `scheduler` option.
+ * The same as `Scheduler.useDefault`, see [Scheduler](./scheduler.js.html).
+ *
+ * @param {Object|String} scheduler scheduler or the name of built-in scheduler, `Scheduler.setTimeout` is used if not passed
+ */
+function useScheduler(scheduler) {
+    Scheduler.useDefault(scheduler);
+}
+
+
+/**
+ * Adds global instrumentation hook that is called by all messengers, e.g. to build profilers, loggers and devtools.
+ * Hook is an object with some of the methods:
+ *
+ * - beforePost(messenger, message, data, sync) - called when the message is posted before subscribers are called
+ * - afterPost(messenger, message, data, sync, cancelled) - called after synchronous subscribers are called
+ * - beforeCall(messenger, message, data, subscriber) - called before subscriber is called (synchronous or asynchronous)
+ * - afterCall(messenger, message, data, subscriber) - called after subscriber is called, even if it throws
+ * - onSubscribe(messenger, message, subscriber) - called when subscriber is added for the message (or the pattern)
+ * - onUnsubscribe(messenger, message, subscriber) - called when subscriber is removed for the message (or the pattern)
+ *
+ * `subscriber` is the object with properties `subscriber`, `context` and `options`. Hooks should not change the passed data, the exceptions in hooks are not caught.
+ * Messenger does not do any additional work when no hooks are added.
+ * Usage:
+ * ```
+ * var hook = Messenger.addHook({
+ *     beforeCall: function(messenger, message) { startTimer(message); },
+ *     afterCall: function(messenger, message) { stopTimer(message); }
+ * });
+ * // ...
+ * Messenger.removeHook(hook);
+ * ```
+ *
+ * @param {Object} hook
+ * @return {Object} the added hook
+ */
+function addHook(hook) {
+    check(hook, {
+        beforePost: Match.Optional(Function),
+        afterPost: Match.Optional(Function),
+        beforeCall: Match.Optional(Function),
+        afterCall: Match.Optional(Function),
+        onSubscribe: Match.Optional(Function),
+        onUnsubscribe: Match.Optional(Function)
+    });
+    if (_hooks.indexOf(hook) == -1)
+        _hooks.push(hook);
+    return hook;
+}
+
+
+/**
+ * Removes global instrumentation hook added with [addHook](#addHook)
+ *
+ * @param {Object} hook
+ * @return {Boolean} true if the hook was removed
+ */
+function removeHook(hook) {
+    var index = _hooks.indexOf(hook);
+    if (index >= 0) _hooks.splice(index, 1);
+    return index >= 0;
+}
+
+
+function _callHooks(hookName, args) {
+    _hooks.slice().forEach(function(hook) {
+        if (hook[hookName]) hook[hookName].apply(hook, args);
+    });
+}
+
+
+/**
+ * Logs the exception thrown by asynchronous subscriber that was not handled, so it is not thrown from scheduled task
+ *
+ * @private
+ * @param {Error} error
+ */
+function _logAsyncError(error) {
+    // logger is required here because it depends on Messenger
+    var logger = require('../util/logger');
+    logger.error('Messenger: exception in asynchronous subscriber', error);
+}
+
+
+/**
+ * Sets global handler of exceptions thrown by subscribers of all messengers.
+ * The handler is called with the same data that is posted as "error" message, see [postMessage](#postMessage), and with the messenger as the second parameter.
+ *
+ * @param {Function} handler function or undefined to remove the handler
+ */
+function useErrorHandler(handler) {
+    check(handler, Match.Optional(Function));
+    _errorHandler = handler;
+}
+
+
+/**
+ * Enables or disables strict mode, in which exceptions thrown by subscribers are not caught.
+ * It can be used in tests so that the exceptions are thrown where the message is dispatched.
+ *
+ * @param {Boolean} strict true to enable strict mode
+ */
+function useStrictMode(strict) {
+    check(strict, Boolean);
+    _strictMode = strict;
 }
 
 
 /**
  * Messenger instance method.
- * Returns the array of subscribers that would be called if the message were dispatched.
+ * Returns the array of subscribers that would be called if the message were dispatched, in the order of their priority.
+ * Subscribers that were subscribed with options (e.g., `priority`) have these options in `options` property.
  * If `includePatternSubscribers === false`, pattern subscribers with matching patters will not be included (by default they are included).
  * If there are no subscribers to the message, `undefined` will be returned, not an empty array, so it is safe to use the result in boolean tests.
  *
@@ -629,16 +1614,8 @@ function getSubscribers(message, includePatternSubscribers) {
                             : [];
 
     // pattern subscribers are incuded by default
-    if (includePatternSubscribers !== false && typeof message == 'string') {
-        _.eachKey(this._patternMessageSubscribers,
-            function(patternSubscribers) {
-                var pattern = patternSubscribers.pattern;
-                if (patternSubscribers && patternSubscribers.length
-                        && pattern.test(message))
-                    _.appendArray(msgSubscribers, patternSubscribers);
-            }
-        );
-    }
+    if (includePatternSubscribers !== false && typeof message == 'string')
+        msgSubscribers = _mergeSubscribers(msgSubscribers, this._getPatternSubscribers(message));
 
     // return undefined if there are no subscribers
     return msgSubscribers.length
@@ -0,0 +1,114 @@
+'use strict';
+
+var _ = require('protojs');
+
+
+module.exports = MessageStream;
+
+
+/**
+ * `milo.Messenger.MessageStream`
+ * Async iterator of messages dispatched on [Messenger](./index.js.html). It is returned by `stream` method of Messenger, it should not be created directly.
+ * Messages are buffered until they are consumed, each value is an object `{ msg, data }`.
+ * The stream is subscribed synchronously, so the messages dispatched with `postMessageSync` are added to the buffer in the order they are dispatched.
+ * The stream unsubscribes from messenger when `return` method is called (it happens automatically when `for await` loop is exited) or when messenger is destroyed.
+ * Usage:
+ * ```
+ * for await (var message of model._messenger.stream('.name .age')) {
+ *     showValue(message.msg, message.data.newValue);
+ *     if (done) break;
+ * }
+ * ```
+ *
+ * @constructor
+ * @param {Messenger} messenger messenger to subscribe to
+ * @param {String|Array[String]|RegExp} messages messages to subscribe to, the same as in `on` method of Messenger
+ * @return {MessageStream}
+ */
+function MessageStream(messenger, messages) {
+    _.defineProperties(this, {
+        messenger: messenger,
+        messages: messages,
+        _buffer: [],
+        _pendingNext: [],
+        _subscriber: { subscriber: this._onMessage, context: this },
+        _cancel: this['return'].bind(this)
+    });
+    _.defineProperty(this, 'done', false, _.WRIT);
+
+    messenger.onSync(messages, this._subscriber);
+    messenger._addAsyncSubscription(this._cancel);
+}
+
+
+/**
+ * ####MessageStream instance methods####
+ *
+ * - [next](#MessageStream$next) - returns the promise of the next message
+ * - [return](#MessageStream$return) - unsubscribes from messenger and finishes iteration
+ */
+_.extendProto(MessageStream, {
+    next: MessageStream$next,
+    'return': MessageStream$return,
+    _onMessage: _onMessage
+});
+
+
+if (typeof Symbol == 'function' && Symbol.asyncIterator)
+    MessageStream.prototype[Symbol.asyncIterator] = function() { return this; };
+
+
+/**
+ * MessageStream instance method
+ * Returns the promise that resolves with the iterator result `{ value: { msg, data }, done: false }` when the message is available.
+ * After the stream is finished the promise resolves with `{ value: undefined, done: true }`.
+ *
+ * @return {Promise}
+ */
+function MessageStream$next() {
+    if (this._buffer.length)
+        return Promise.resolve(iteratorResult(this._buffer.shift()));
+    if (this.done)
+        return Promise.resolve(iteratorResult());
+
+    var pendingNext = this._pendingNext;
+    return new Promise(function(resolve) {
+        pendingNext.push(resolve);
+    });
+}
+
+
+/**
+ * MessageStream instance method
+ * Unsubscribes from messenger, discards buffered messages and resolves pending `next` calls as finished.
+ *
+ * @return {Promise} resolves with `{ value: undefined, done: true }`
+ */
+function MessageStream$return() {
+    if (! this.done) {
+        this.done = true;
+        this._buffer.length = 0;
+        this.messenger._removeAsyncSubscription(this._cancel);
+        this.messenger.off(this.messages, this._subscriber);
+        this._pendingNext.splice(0).forEach(function(resolve) {
+            resolve(iteratorResult());
+        });
+    }
+    return Promise.resolve(iteratorResult());
+}
+
+
+function _onMessage(msg, data) {
+    var message = { msg: msg, data: data };
+    if (this._pendingNext.length)
+        this._pendingNext.shift()(iteratorResult(message));
+    else
+        this._buffer.push(message);
+}
+
+
+function iteratorResult(value) {
+    return value === undefined
+            ? { value: undefined, done: true }
+            : { value: value, done: false };
+}
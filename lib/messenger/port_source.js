@@ -0,0 +1,434 @@
+'use strict';
+
+
+var MessageSource = require('./m_source')
+    , serialization = require('../util/serialization')
+    , _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+/**
+ * Subclass of [MessageSource](./m_source.js.html) that connects Messenger to the messenger in another thread or process via `postMessage`-like channel.
+ * Channel (port) can be Node `worker_threads` MessagePort or Worker, `child_process` ChildProcess or `process` in the child (they use `send` method), browser MessagePort or Worker or any object that has:
+ *
+ * - method `postMessage(data)` or `send(data)` to send messages
+ * - methods `on(event, listener)` and `removeListener(event, listener)` (or `off`) or `addEventListener(event, listener)` and `removeEventListener(event, listener)` to receive "message" events
+ *
+ * Subscriptions to the messenger are sent over the channel to the other side, where the messenger (or any object with `on` and `off` methods, e.g. Model) should be exposed with `PortMessageSource.serve`.
+ * To connect Model on the other side with [minder](../minder.js.html) or [Connector](../model/connector.js.html) (in any direction), use the object returned by `PortMessageSource.connect` as data source.
+ * Message data is encoded with [serialization](../util/serialization.js.html) (functions are removed), so it can be passed via structured clone or JSON.
+ * Messages are dispatched on the messenger synchronously when they are received from the channel.
+ *
+ * Usage:
+ * ```
+ * // in worker
+ * var model = new Model;
+ * PortMessageSource.serve(model, parentPort);
+ *
+ * // in main thread
+ * var remoteModel = PortMessageSource.connect(worker);
+ * remoteModel.on('.info.name', function(msg, data) {
+ *     // data.newValue
+ * });
+ * milo.minder(model, '<<<->>>', remoteModel); // two-way connection of models
+ * remoteModel._messenger.getMessageSource().trigger('.info.name', ...); // posts message on the model in worker
+ * ```
+ */
+var PortMessageSource = _.createSubclass(MessageSource, 'PortMessageSource');
+
+module.exports = PortMessageSource;
+
+
+/**
+ * ####PortMessageSource instance methods####
+ */
+_.extendProto(PortMessageSource, {
+    init: init,
+    destroy: PortMessageSource$destroy,
+    addSourceSubscriber: addSourceSubscriber,
+    removeSourceSubscriber: removeSourceSubscriber,
+    trigger: PortMessageSource$trigger,
+    changeData: PortMessageSource$changeData,
+    postMessage: PortMessageSource$postMessage,
+    _onPortMessage: _onPortMessage
+});
+
+
+/**
+ * ####PortMessageSource class methods####
+ *
+ * - [serve](#serve) - exposes messenger on the channel
+ * - [connect](#connect) - creates object that can be used as data source connected to the model exposed on the other side
+ * - [encode](#encode) - encodes data to be sent over the channel
+ * - [decode](#decode) - decodes data received from the channel
+ */
+_.extend(PortMessageSource, {
+    serve: PortMessageSource$$serve,
+    connect: PortMessageSource$$connect,
+    encode: encode,
+    decode: decode
+});
+
+
+var DEFAULT_CHANNEL = 'milo'
+    , CHANGE_DATA_MESSAGE = 'changedata'
+    , DATA_CHANGES_MESSAGE = 'datachanges';
+
+var portOptionsPattern = Match.Optional({
+    channel: Match.Optional(String),
+    types: Match.Optional(Object)
+});
+
+
+/**
+ * Initializes PortMessageSource
+ * Defines two parameters in addition to [MessageSource](./m_source.js.html) parameters
+ *
+ * @param {Object} port channel to the other side
+ * @param {Object} options optional object with properties `channel` (the name of the channel, allows to use several channels over the same port, 'milo' by default) and `types` (additional types for serialization)
+ */
+function init(hostObject, proxyMethods, messengerAPI, port, options) {
+    check(options, portOptionsPattern);
+    MessageSource.prototype.init.apply(this, arguments);
+
+    this.port = wrapPort(port);
+    this.options = options || {};
+    this.channel = this.options.channel || DEFAULT_CHANNEL;
+    _.defineProperties(this, {
+        _sourceMessages: {},
+        _boundOnPortMessage: this._onPortMessage.bind(this)
+    });
+    _.defineProperty(this, '_holdSubscriptions', false, _.WRIT);
+    this.port.listen(this._boundOnPortMessage);
+}
+
+
+/**
+ * Stops listening to the channel. The subscriptions on the other side are removed.
+ */
+function PortMessageSource$destroy() {
+    MessageSource.prototype.destroy.apply(this, arguments);
+    _.eachKey(this._sourceMessages, function(sourceMessage) {
+        this.removeSourceSubscriber(sourceMessage);
+    }, this);
+    this.port.unlisten(this._boundOnPortMessage);
+}
+
+
+/**
+ * Sends subscription to the other side. See [MessageSource](./m_source.js.html) docs.
+ *
+ * @param {String} sourceMessage source message to subscribe to
+ */
+function addSourceSubscriber(sourceMessage) {
+    this._sourceMessages[sourceMessage] = sourceMessage;
+    if (! this._holdSubscriptions) sendCommand(this, 'subscribe', sourceMessage);
+}
+
+
+/**
+ * Sends unsubscription to the other side. See [MessageSource](./m_source.js.html) docs.
+ *
+ * @param {String} sourceMessage source message to unsubscribe from
+ */
+function removeSourceSubscriber(sourceMessage) {
+    delete this._sourceMessages[sourceMessage];
+    if (! this._holdSubscriptions) sendCommand(this, 'unsubscribe', sourceMessage);
+}
+
+
+/**
+ * Posts the message on the messenger on the other side.
+ *
+ * @param {String} message
+ * @param {Any} data
+ */
+function PortMessageSource$trigger(message, data) {
+    sendCommand(this, 'post', message, data);
+}
+
+
+/**
+ * Sends "changedata" message to the other side, where it is posted synchronously (so the changes are applied by the model).
+ * "datachanges" messages caused by these changes are not sent back, to prevent endless loop in two-way connection.
+ * Callback is called with `(null, false)` before the message is sent and with `(null, true)` after, as [changeDataHandler](../model/change_data.js.html) does.
+ * Subscriptions removed and added back by callback (as [Connector](../model/connector.js.html) does) are not sent to the other side, so no messages are lost.
+ *
+ * @param {Object} data "changedata" message data with property `changes`
+ * @param {Function} callback optional callback
+ */
+function PortMessageSource$changeData(data, callback) {
+    var sourceMessages = _.clone(this._sourceMessages);
+    this._holdSubscriptions = true;
+    try {
+        callback && callback(null, false);
+        sendCommand(this, 'changedata', CHANGE_DATA_MESSAGE, {
+            changes: data.changes.map(function(change) {
+                return _.omitKeys(change, 'source');
+            })
+        });
+        callback && callback(null, true);
+    } finally {
+        this._holdSubscriptions = false;
+        _.eachKey(sourceMessages, function(sourceMessage, key) {
+            if (! this._sourceMessages[key]) sendCommand(this, 'unsubscribe', sourceMessage);
+        }, this);
+        _.eachKey(this._sourceMessages, function(sourceMessage, key) {
+            if (! sourceMessages[key]) sendCommand(this, 'subscribe', sourceMessage);
+        }, this);
+    }
+}
+
+
+/**
+ * Overrides default message source to dispatch messages synchronously
+ *
+ * @param {String} message
+ * @param {Object} data
+ */
+function PortMessageSource$postMessage(message, data) {
+    this.messenger.postMessageSync(message, data);
+}
+
+
+function _onPortMessage(envelope) {
+    if (! isEnvelope(envelope, this.channel) || envelope.command != 'message') return;
+    this.dispatchMessage(decode(envelope.message), decode(envelope.data, this.options));
+}
+
+
+/**
+ * Exposes messenger (or any object with `on`, `off` and `postMessage` methods, e.g. Model) on the channel, so PortMessageSource on the other side can subscribe to it.
+ *
+ * @param {Object} messenger messenger or object with proxied messenger methods
+ * @param {Object} port channel to the other side (see PortMessageSource)
+ * @param {Object} options optional object with properties `channel` and `types`, they should be the same as in PortMessageSource on the other side
+ * @return {Object} object with `destroy` method that removes all subscriptions and stops listening to the channel
+ */
+function PortMessageSource$$serve(messenger, port, options) {
+    check(messenger, Match.Where(function(m) {
+        return m != null && typeof m.on == 'function' && typeof m.off == 'function';
+    }));
+    check(options, portOptionsPattern);
+
+    options = options || {};
+    port = wrapPort(port);
+    var channel = options.channel || DEFAULT_CHANNEL
+        , subscriptions = {}
+        , changingData = false;
+
+    port.listen(onPortMessage);
+
+    return {
+        destroy: function() {
+            port.unlisten(onPortMessage);
+            _.eachKey(subscriptions, function(subscription) {
+                messenger.off(subscription.message, forwardMessage);
+            });
+            subscriptions = {};
+        }
+    };
+
+
+    function onPortMessage(envelope) {
+        if (! isEnvelope(envelope, channel)) return;
+
+        var message = decode(envelope.message)
+            , key = String(message);
+
+        switch (envelope.command) {
+            case 'subscribe':
+                if (! subscriptions[key]) {
+                    subscriptions[key] = { message: message };
+                    messenger.onSync(message, forwardMessage);
+                }
+                break;
+            case 'unsubscribe':
+                if (subscriptions[key]) {
+                    delete subscriptions[key];
+                    messenger.off(message, forwardMessage);
+                }
+                break;
+            case 'post':
+                messenger.postMessage(message, decode(envelope.data, options));
+                break;
+            case 'changedata':
+                messenger.postMessageSync(CHANGE_DATA_MESSAGE, decode(envelope.data, options), function(err, changeFinished) {
+                    changingData = ! changeFinished;
+                });
+                changingData = false;
+                break;
+        }
+    }
+
+
+    function forwardMessage(message, data) {
+        // the changes are not sent back to the side that made them
+        if (changingData && message == DATA_CHANGES_MESSAGE) return;
+        port.send(createEnvelope(channel, 'message', message, data, options));
+    }
+}
+
+
+/**
+ * Creates the object that represents the messenger (or Model) exposed with [serve](#serve) on the other side of the channel.
+ * Messenger methods are proxied to the object (as `Messenger.defaultMethods`), subscriptions are sent to the other side.
+ * "changedata" messages posted on the object are sent to the other side (see [changeData](#PortMessageSource$changeData)), other messages are posted on the object itself.
+ * So the object can be used as data source of [Connector](../model/connector.js.html) and [minder](../minder.js.html) to observe and to change the model on the other side.
+ *
+ * @param {Object} port channel to the other side (see PortMessageSource)
+ * @param {Object} options optional object with properties `channel` and `types`, they should be the same as in `serve` on the other side
+ * @return {Object}
+ */
+function PortMessageSource$$connect(port, options) {
+    // required here because Messenger requires this module
+    var Messenger = require('./index');
+
+    var remote = {}
+        , proxyMethods = _.clone(Messenger.defaultMethods);
+    delete proxyMethods.postMessage;
+    delete proxyMethods.postMessageSync;
+
+    var messageSource = new PortMessageSource(remote, undefined, undefined, port, options)
+        , messenger = new Messenger(remote, proxyMethods, messageSource);
+
+    _.defineProperties(remote, {
+        _messenger: messenger,
+        postMessage: function(message, data, callback) {
+            return postOnRemote(message, data, callback, false);
+        },
+        postMessageSync: function(message, data, callback) {
+            return postOnRemote(message, data, callback, true);
+        }
+    });
+
+    return remote;
+
+
+    function postOnRemote(message, data, callback, synchronous) {
+        if (message != CHANGE_DATA_MESSAGE)
+            return messenger.postMessage(message, data, callback, synchronous);
+
+        messageSource.changeData(data, typeof callback == 'function' ? callback : undefined);
+    }
+}
+
+
+function sendCommand(source, command, message, data) {
+    source.port.send(createEnvelope(source.channel, command, message, data, source.options));
+}
+
+
+function createEnvelope(channel, command, message, data, options) {
+    var envelope = {
+        channel: channel,
+        command: command,
+        message: encode(message)
+    };
+    if (data !== undefined)
+        envelope.data = encode(data, options);
+    return envelope;
+}
+
+
+function isEnvelope(envelope, channel) {
+    return envelope != null && typeof envelope == 'object' && envelope.channel == channel;
+}
+
+
+/**
+ * Encodes data so it can be passed via structured clone or JSON: values of special types are encoded with [serialization](../util/serialization.js.html), functions are removed.
+ *
+ * @param {Any} data
+ * @param {Object} options optional object with property `types` passed to serialization
+ * @return {Any}
+ */
+function encode(data, options) {
+    return removeFunctions(serialization.encode(data, options));
+}
+
+
+/**
+ * Decodes data encoded with [encode](#encode)
+ *
+ * @param {Any} data
+ * @param {Object} options optional object with property `types` passed to serialization
+ * @return {Any}
+ */
+function decode(data, options) {
+    // wrapped so that strings are not parsed as JSON
+    return serialization.decode({ value: data }, options).value;
+}
+
+
+function removeFunctions(value) {
+    if (typeof value == 'function') return undefined;
+    if (value == null || typeof value != 'object') return value;
+
+    if (Array.isArray(value))
+        return value.map(removeFunctions);
+
+    var obj = {};
+    Object.keys(value).forEach(function(key) {
+        var propValue = removeFunctions(value[key]);
+        if (propValue !== undefined || value[key] === undefined)
+            obj[key] = propValue;
+    });
+    return obj;
+}
+
+
+/**
+ * Returns the object with methods `send`, `listen` and `unlisten` that work with any supported channel
+ *
+ * @private
+ * @param {Object} port
+ * @return {Object}
+ */
+function wrapPort(port) {
+    check(port, Match.Where(isPort));
+
+    var listeners = []
+        , useEvents = typeof port.addEventListener == 'function';
+
+    return {
+        send: function(data) {
+            if (typeof port.postMessage == 'function')
+                port.postMessage(data);
+            else
+                port.send(data);
+        },
+
+        listen: function(listener) {
+            var portListener = useEvents
+                                ? function(event) { listener(event.data); }
+                                : listener;
+            listeners.push({ listener: listener, portListener: portListener });
+            if (useEvents)
+                port.addEventListener('message', portListener);
+            else
+                port.on('message', portListener);
+            if (typeof port.start == 'function') port.start();
+        },
+
+        unlisten: function(listener) {
+            var index = _.findIndex(listeners, function(l) { return l.listener == listener; });
+            if (index == -1) return;
+            var portListener = listeners.splice(index, 1)[0].portListener;
+            if (useEvents)
+                port.removeEventListener('message', portListener);
+            else if (typeof port.removeListener == 'function')
+                port.removeListener('message', portListener);
+            else
+                port.off('message', portListener);
+        }
+    };
+}
+
+
+function isPort(port) {
+    return port != null
+            && (typeof port.postMessage == 'function' || typeof port.send == 'function')
+            && (typeof port.addEventListener == 'function' || typeof port.on == 'function');
+}
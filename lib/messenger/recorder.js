@@ -0,0 +1,292 @@
+'use strict';
+
+var PortMessageSource = require('./port_source')
+    , Scheduler = require('./scheduler')
+    , _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+/**
+ * `milo.Messenger.Recorder`
+ * Records messages posted on one or several [Messengers](./index.js.html) to reproduce bugs, and replays recordings into messengers.
+ * Each recorded entry is an object `{ messenger, message, data, sync, time }`, where `messenger` is the name the messenger was attached with, `data` is encoded with the serializer, `sync` is true if the message was posted with `postMessageSync` and `time` is the timestamp in milliseconds.
+ * Usage:
+ * ```
+ * var recorder = new Messenger.Recorder({ filter: /^\.info/ });
+ * recorder.attach(model._messenger, 'model');
+ * // ...
+ * var json = recorder.exportJSON();
+ *
+ * // to reproduce
+ * var player = new Messenger.Recorder;
+ * player.importJSON(json);
+ * player.replay({ model: model._messenger }, { speed: 10 }).then(function() {
+ *     // all messages are posted
+ * });
+ * ```
+ *
+ * @constructor
+ * @param {Object} options optional recorder options:
+ *  - filter - RegExp or function, only the messages that match the pattern (or for which the function called with `(message, data)` returns true) are recorded
+ *  - serializer - object with methods `encode` and `decode` used to convert message data, by default [serialization](../util/serialization.js.html) is used and functions are removed
+ * @return {Recorder}
+ */
+function Recorder(options) {
+    check(options, Match.Optional({
+        filter: Match.Optional(Match.OneOf(RegExp, Function)),
+        serializer: Match.Optional(Match.ObjectIncluding({
+            encode: Function,
+            decode: Function
+        }))
+    }));
+    options = options || {};
+
+    _.defineProperties(this, {
+        options: options,
+        serializer: options.serializer || { encode: PortMessageSource.encode, decode: PortMessageSource.decode },
+        entries: [],
+        _messengers: {}
+    });
+    _.defineProperty(this, '_replaying', 0, _.WRIT);
+}
+
+module.exports = Recorder;
+
+
+/**
+ * ####Recorder instance methods####
+ *
+ * - [attach](#Recorder$attach) - starts recording messages posted on messenger
+ * - [detach](#Recorder$detach) - stops recording messages posted on messenger
+ * - [detachAll](#Recorder$detachAll) - stops recording messages posted on all messengers
+ * - [getEntries](#Recorder$getEntries) - returns recorded entries
+ * - [clear](#Recorder$clear) - removes recorded entries
+ * - [exportJSON](#Recorder$exportJSON) - returns recorded entries as JSON string
+ * - [importJSON](#Recorder$importJSON) - loads entries from JSON string
+ * - [replay](#Recorder$replay) - posts recorded messages on messengers
+ */
+_.extendProto(Recorder, {
+    attach: Recorder$attach,
+    detach: Recorder$detach,
+    detachAll: Recorder$detachAll,
+    getEntries: Recorder$getEntries,
+    clear: Recorder$clear,
+    exportJSON: Recorder$exportJSON,
+    importJSON: Recorder$importJSON,
+    replay: Recorder$replay,
+    _record: _record
+});
+
+
+var messengerNameIndex = 0;
+
+
+/**
+ * Recorder instance method
+ * Starts recording messages posted on messenger.
+ *
+ * @param {Messenger} messenger
+ * @param {String} name optional name used in recorded entries and to replay them, the unique name is generated if not passed
+ * @return {String} the name of the messenger
+ */
+function Recorder$attach(messenger, name) {
+    check(messenger, Match.Where(function(m) { return m != null && Array.isArray(m._recorders); }));
+    check(name, Match.Optional(String));
+
+    name = name || 'messenger' + (++messengerNameIndex);
+    if (this._messengers[name] && this._messengers[name] != messenger)
+        throw new Error('Recorder: another messenger is attached with name ' + name);
+
+    this._messengers[name] = messenger;
+    if (messenger._recorders.indexOf(this) == -1)
+        messenger._recorders.push(this);
+    return name;
+}
+
+
+/**
+ * Recorder instance method
+ * Stops recording messages posted on messenger. Recorded entries are kept.
+ *
+ * @param {Messenger} messenger
+ * @return {Boolean} true if messenger was attached
+ */
+function Recorder$detach(messenger) {
+    var name = _messengerName.call(this, messenger);
+    if (name === undefined) return false;
+
+    delete this._messengers[name];
+    var index = messenger._recorders.indexOf(this);
+    if (index >= 0) messenger._recorders.splice(index, 1);
+    return true;
+}
+
+
+/**
+ * Recorder instance method
+ * Stops recording messages posted on all attached messengers.
+ */
+function Recorder$detachAll() {
+    _.eachKey(this._messengers, this.detach, this);
+}
+
+
+/**
+ * Recorder instance method
+ * Returns the copy of the list of recorded entries, optionally filtered.
+ *
+ * @param {RegExp|Function} filter optional pattern of messages or function called with entry
+ * @return {Array[Object]}
+ */
+function Recorder$getEntries(filter) {
+    check(filter, Match.Optional(Match.OneOf(RegExp, Function)));
+    return filter
+            ? this.entries.filter(function(entry) {
+                return filter instanceof RegExp ? filter.test(entry.message) : filter(entry);
+            })
+            : this.entries.slice();
+}
+
+
+/**
+ * Recorder instance method
+ * Removes all recorded entries.
+ */
+function Recorder$clear() {
+    this.entries.length = 0;
+}
+
+
+/**
+ * Recorder instance method
+ * Returns recorded entries as JSON string
+ *
+ * @return {String}
+ */
+function Recorder$exportJSON() {
+    return JSON.stringify(this.entries);
+}
+
+
+/**
+ * Recorder instance method
+ * Loads entries from JSON string (or array) replacing recorded entries.
+ *
+ * @param {String|Array[Object]} json entries exported with [exportJSON](#Recorder$exportJSON)
+ */
+function Recorder$importJSON(json) {
+    check(json, Match.OneOf(String, Array));
+    var entries = typeof json == 'string' ? JSON.parse(json) : json;
+    check(entries, [Match.ObjectIncluding({
+        messenger: String,
+        message: String,
+        sync: Boolean,
+        time: Number
+    })]);
+
+    this.clear();
+    _.appendArray(this.entries, entries);
+}
+
+
+/**
+ * Recorder instance method
+ * Posts recorded messages on messengers keeping the intervals between them (divided by `speed` option), the intervals are measured with the default [Scheduler](./scheduler.js.html).
+ * Messages are posted with `postMessageSync` if they were originally posted with it.
+ * Recording is paused until the replay finishes, so replaying into attached messengers does not add entries.
+ *
+ * @param {Messenger|Object[Messenger]} messengers messenger to post all messages on or map of messengers by the names used in entries (messages of messengers that are not in the map are not posted), attached messengers are used if not passed
+ * @param {Object} options optional replay options:
+ *  - speed - the number of times the replay is faster than original timing, 1 by default, `Infinity` to post all messages without intervals
+ *  - filter - RegExp or function, only the entries with matching messages (or for which the function returns true) are posted
+ * @return {Promise} resolved when all messages are posted
+ */
+function Recorder$replay(messengers, options) {
+    check(messengers, Match.Optional(Object));
+    check(options, Match.Optional({
+        speed: Match.Optional(Number),
+        filter: Match.Optional(Match.OneOf(RegExp, Function))
+    }));
+    options = options || {};
+    messengers = messengers || this._messengers;
+
+    var self = this
+        , speed = options.speed || 1
+        , entries = this.getEntries(options.filter)
+        , serializer = this.serializer;
+
+    this._replaying++;
+    return new Promise(function(resolve, reject) {
+        postNext(0);
+
+        function postNext(index) {
+            if (index >= entries.length) {
+                self._replaying--;
+                return resolve();
+            }
+
+            var entry = entries[index];
+            try {
+                postEntry(entry);
+            } catch (e) {
+                self._replaying--;
+                return reject(e);
+            }
+
+            var nextEntry = entries[index + 1]
+                , delay = nextEntry && (nextEntry.time - entry.time) / speed;
+            if (delay > 0 && isFinite(delay))
+                Scheduler.defer(function() { postNext(index + 1); }, delay);
+            else
+                postNext(index + 1);
+        }
+    });
+
+
+    function postEntry(entry) {
+        var messenger = typeof messengers.postMessage == 'function'
+                            ? messengers
+                            : messengers[entry.messenger];
+        if (! messenger) return;
+
+        var data = serializer.decode(entry.data);
+        if (entry.sync)
+            messenger.postMessageSync(entry.message, data);
+        else
+            messenger.postMessage(entry.message, data);
+    }
+}
+
+
+/**
+ * Called by messenger when the message is posted.
+ *
+ * @private
+ * @param {Messenger} messenger
+ * @param {String|RegExp} message
+ * @param {Any} data
+ * @param {Boolean} sync
+ */
+function _record(messenger, message, data, sync) {
+    if (this._replaying || typeof message != 'string') return;
+
+    var filter = this.options.filter;
+    if (filter && ! (filter instanceof RegExp ? filter.test(message) : filter(message, data)))
+        return;
+
+    this.entries.push({
+        messenger: _messengerName.call(this, messenger),
+        message: message,
+        data: this.serializer.encode(data),
+        sync: !! sync,
+        time: Date.now()
+    });
+}
+
+
+function _messengerName(messenger) {
+    return _.findKey(this._messengers, function(m) {
+        return m == messenger;
+    });
+}
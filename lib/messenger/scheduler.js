@@ -0,0 +1,299 @@
+'use strict';
+
+var _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+/**
+ * `milo.Messenger.Scheduler`
+ * Scheduler is used by [Messenger](./index.js.html) to call asynchronous subscribers. Any object with the method `schedule(task, delay)` can be used as scheduler, `delay` is the optional number of milliseconds to call the task after.
+ * Messenger uses the default scheduler (`Scheduler.setTimeout` unless changed with `Scheduler.useDefault` or `Messenger.useScheduler`), a scheduler can be passed to a particular messenger in `scheduler` option.
+ * The default scheduler is also used by [Connector](../model/connector.js.html), [minder](../minder.js.html) and lazy [computed properties](../model/computed.js.html) to defer execution and by throttled and debounced subscribers, timeouts and model persistence to delay it (see [defer](#defer)), so replacing it allows to control all asynchronous propagation of changes (e.g., with virtual [clock](../testing/clock.js.html) in tests).
+ *
+ * Built-in schedulers (they can also be referred to by name in `scheduler` option):
+ *
+ * - `Scheduler.setTimeout` ('setTimeout') - calls each task with `setTimeout(task, 0)`
+ * - `Scheduler.setImmediate` ('setImmediate') - calls each task with `setImmediate` (falls back to `setTimeout` if it is not available or if the task is delayed)
+ * - `Scheduler.microtask` ('microtask') - calls each task in microtask, with `queueMicrotask` or with resolved Promise (delayed tasks are called with `setTimeout`)
+ * - `Scheduler.batching` ('batching') - calls all tasks scheduled before the next tick together, see [BatchingScheduler](#BatchingScheduler)
+ *
+ * [ManualScheduler](#ManualScheduler) can be used in tests to call scheduled tasks explicitly.
+ *
+ * @constructor
+ * @param {Function} scheduleFunc function that is passed the task and the optional delay and should call the task asynchronously
+ * @return {Scheduler}
+ */
+function Scheduler(scheduleFunc) {
+    check(scheduleFunc, Function);
+    this._scheduleFunc = scheduleFunc;
+}
+
+module.exports = Scheduler;
+
+
+_.extendProto(Scheduler, {
+    schedule: Scheduler$schedule
+});
+
+
+/**
+ * Scheduler instance method
+ * Schedules the task to be called asynchronously
+ *
+ * @param {Function} task
+ * @param {Number} delay optional number of milliseconds, 0 by default
+ */
+function Scheduler$schedule(task, delay) {
+    this._scheduleFunc(task, delay);
+}
+
+
+/**
+ * `milo.Messenger.Scheduler.Batching`
+ * Scheduler that collects all tasks scheduled before the next tick and calls them together, in the order they were scheduled, using another scheduler once.
+ * The tasks scheduled while the tasks are called are called in the next batch. Delayed tasks are not batched, they are passed to another scheduler.
+ * If some tasks throw, the remaining tasks are still called and the first exception is rethrown.
+ *
+ * @constructor
+ * @param {Object} scheduler optional scheduler used to call the batch, `Scheduler.setTimeout` by default
+ * @return {BatchingScheduler}
+ */
+function BatchingScheduler(scheduler) {
+    check(scheduler, Match.Optional(Match.Where(isScheduler)));
+    this._scheduler = scheduler || Scheduler.setTimeout;
+    this._tasks = [];
+}
+
+
+_.extendProto(BatchingScheduler, {
+    schedule: BatchingScheduler$schedule,
+    _callTasks: _callTasks
+});
+
+
+/**
+ * BatchingScheduler instance method
+ * Adds the task to the batch, schedules calling the batch if it is the first task.
+ *
+ * @param {Function} task
+ * @param {Number} delay optional number of milliseconds
+ */
+function BatchingScheduler$schedule(task, delay) {
+    if (delay > 0)
+        return this._scheduler.schedule(task, delay);
+
+    this._tasks.push(task);
+    if (this._tasks.length == 1)
+        this._scheduler.schedule(this._callTasks.bind(this));
+}
+
+
+function _callTasks() {
+    var tasks = this._tasks;
+    this._tasks = [];
+    callTasks(tasks);
+}
+
+
+/**
+ * `milo.Messenger.Scheduler.Manual`
+ * Scheduler that only calls the tasks when its methods `step` or `flush` are called. Delays are ignored, use virtual [clock](../testing/clock.js.html) to test delayed tasks.
+ * Usage in tests:
+ * ```
+ * var scheduler = new Messenger.Scheduler.Manual;
+ * Messenger.useScheduler(scheduler);
+ * model.on('.name', subscriber);
+ * model('.name').set('milo');
+ * scheduler.flush(); // subscriber is called
+ * Messenger.useScheduler();
+ * ```
+ *
+ * @constructor
+ * @return {ManualScheduler}
+ */
+function ManualScheduler() {
+    this._tasks = [];
+}
+
+
+/**
+ * ####ManualScheduler instance methods####
+ *
+ * - [schedule](#ManualScheduler$schedule) - adds the task to the queue
+ * - [step](#ManualScheduler$step) - calls the first task in the queue
+ * - [flush](#ManualScheduler$flush) - calls all tasks including the tasks scheduled while calling them
+ * - [pendingCount](#ManualScheduler$pendingCount) - returns the number of tasks in the queue
+ * - [clear](#ManualScheduler$clear) - removes all tasks without calling them
+ */
+_.extendProto(ManualScheduler, {
+    schedule: ManualScheduler$schedule,
+    step: ManualScheduler$step,
+    flush: ManualScheduler$flush,
+    pendingCount: ManualScheduler$pendingCount,
+    clear: ManualScheduler$clear
+});
+
+
+function ManualScheduler$schedule(task) {
+    this._tasks.push(task);
+}
+
+
+/**
+ * ManualScheduler instance method
+ * Calls the first task in the queue.
+ *
+ * @return {Boolean} true if there was a task to call
+ */
+function ManualScheduler$step() {
+    var task = this._tasks.shift();
+    if (task) task();
+    return !! task;
+}
+
+
+/**
+ * ManualScheduler instance method
+ * Calls all tasks, including the tasks scheduled while calling them.
+ *
+ * @param {Number} maxTasks optional maximum number of tasks to call (1000 by default), it prevents infinite loop when tasks schedule each other
+ * @return {Number} the number of called tasks
+ */
+function ManualScheduler$flush(maxTasks) {
+    maxTasks = maxTasks || 1000;
+    var count = 0;
+    while (this._tasks.length) {
+        if (count++ >= maxTasks)
+            throw new Error('ManualScheduler: more than ' + maxTasks + ' tasks called in flush');
+        this.step();
+    }
+    return count;
+}
+
+
+function ManualScheduler$pendingCount() {
+    return this._tasks.length;
+}
+
+
+function ManualScheduler$clear() {
+    this._tasks.length = 0;
+}
+
+
+var schedulePromise = typeof Promise == 'function' && Promise.resolve();
+
+
+_.extend(Scheduler, {
+    Batching: BatchingScheduler,
+    Manual: ManualScheduler,
+    get: Scheduler$$get,
+    isScheduler: isScheduler,
+    useDefault: Scheduler$$useDefault,
+    getDefault: Scheduler$$getDefault,
+    defer: Scheduler$$defer,
+
+    setTimeout: new Scheduler(function(task, delay) {
+        setTimeout(task, delay || 0);
+    }),
+
+    setImmediate: new Scheduler(function(task, delay) {
+        if (typeof setImmediate == 'function' && ! (delay > 0))
+            setImmediate(task);
+        else
+            setTimeout(task, delay || 0);
+    }),
+
+    microtask: new Scheduler(function(task, delay) {
+        if (delay > 0)
+            setTimeout(task, delay);
+        else if (typeof queueMicrotask == 'function')
+            queueMicrotask(task);
+        else
+            schedulePromise.then(task);
+    })
+});
+
+Scheduler.batching = new BatchingScheduler(Scheduler.setTimeout);
+
+
+var defaultScheduler = Scheduler.setTimeout;
+
+
+/**
+ * Returns scheduler by name or the passed scheduler itself.
+ * Throws if the scheduler with such name does not exist or if the object is not a scheduler.
+ *
+ * @param {String|Object} scheduler name of built-in scheduler or scheduler
+ * @return {Object}
+ */
+function Scheduler$$get(scheduler) {
+    if (typeof scheduler == 'string') {
+        var builtIn = Scheduler.hasOwnProperty(scheduler) && Scheduler[scheduler];
+        if (! isScheduler(builtIn))
+            throw new Error('Scheduler: unknown scheduler ' + scheduler);
+        return builtIn;
+    }
+    check(scheduler, Match.Where(isScheduler));
+    return scheduler;
+}
+
+
+/**
+ * Sets the default scheduler.
+ *
+ * @param {Object|String} scheduler scheduler or the name of built-in scheduler, `Scheduler.setTimeout` is used if not passed
+ */
+function Scheduler$$useDefault(scheduler) {
+    defaultScheduler = scheduler ? Scheduler$$get(scheduler) : Scheduler.setTimeout;
+}
+
+
+/**
+ * Returns the default scheduler.
+ *
+ * @return {Object}
+ */
+function Scheduler$$getDefault() {
+    return defaultScheduler;
+}
+
+
+/**
+ * Calls the function asynchronously using the default scheduler.
+ * It should be used instead of `_.defer`, `_.delay` and `setTimeout` in milo code, so the execution can be controlled by replacing the default scheduler.
+ *
+ * @param {Function} func function to call
+ * @param {Number} delay optional number of milliseconds to call the function after
+ * @return {Object} object with method `cancel` that prevents the call
+ */
+function Scheduler$$defer(func, delay) {
+    var cancelled = false;
+    defaultScheduler.schedule(function() {
+        if (! cancelled) func();
+    }, delay);
+
+    return {
+        cancel: function() { cancelled = true; }
+    };
+}
+
+
+function isScheduler(scheduler) {
+    return scheduler != null && typeof scheduler == 'object'
+            && typeof scheduler.schedule == 'function';
+}
+
+
+function callTasks(tasks) {
+    var error;
+    tasks.forEach(function(task) {
+        try {
+            task();
+        } catch (e) {
+            error = error || e;
+        }
+    });
+    if (error) throw error;
+}
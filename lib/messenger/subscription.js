@@ -0,0 +1,233 @@
+'use strict';
+
+var _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+/**
+ * `milo.Messenger.Subscription`
+ * Subscription handle returned by `on`, `once` and other subscription methods of [Messenger](./index.js.html) when they are called with `subscription: true` option. It should not be created directly.
+ * It allows to unsubscribe anonymous functions without keeping the reference to them and to stop calling the subscriber temporarily.
+ * Usage:
+ * ```
+ * var subscription = model.on('.name', function(msg, data) {
+ *     // ...
+ * }, { subscription: true });
+ *
+ * subscription.pause(); // subscriber is not called
+ * subscription.resume();
+ * subscription.unsubscribe();
+ * ```
+ * If the same subscriber was already subscribed to the same messages, the handle refers to the existing subscription.
+ *
+ * @constructor
+ * @param {Messenger} messenger messenger the subscriber is added to
+ * @param {String|Array[String]|RegExp} messages messages passed to subscription method
+ * @param {Object} subscriber subscriber object with properties `subscriber` and `context`
+ * @return {Subscription}
+ */
+function Subscription(messenger, messages, subscriber) {
+    _.defineProperties(this, {
+        messenger: messenger,
+        messages: messages,
+        subscriber: { subscriber: subscriber.subscriber, context: subscriber.context }
+    });
+    _.defineProperty(this, 'paused', false, _.WRIT);
+}
+
+module.exports = Subscription;
+
+
+/**
+ * ####Subscription instance methods####
+ *
+ * - [unsubscribe](#Subscription$unsubscribe) - removes subscriber from messenger
+ * - [pause](#Subscription$pause) - stops calling subscriber until `resume` is called
+ * - [resume](#Subscription$resume) - resumes calling subscriber
+ * - [isActive](#Subscription$isActive) - returns true if subscriber is subscribed and not paused
+ */
+_.extendProto(Subscription, {
+    unsubscribe: Subscription$unsubscribe,
+    pause: Subscription$pause,
+    resume: Subscription$resume,
+    isActive: Subscription$isActive
+});
+
+
+/**
+ * Subscription instance method
+ * Removes subscriber from messenger for all messages it was subscribed to.
+ *
+ * @return {Boolean} true if subscriber was removed
+ */
+function Subscription$unsubscribe() {
+    return this.messenger.off(this.messages, this.subscriber);
+}
+
+
+/**
+ * Subscription instance method
+ * Stops calling subscriber, the messages dispatched while subscription is paused are not passed to subscriber and are not counted by `once`.
+ */
+function Subscription$pause() {
+    this.paused = true;
+}
+
+
+/**
+ * Subscription instance method
+ * Resumes calling subscriber.
+ */
+function Subscription$resume() {
+    this.paused = false;
+}
+
+
+/**
+ * Subscription instance method
+ * Returns true if subscriber is still subscribed (it is removed by `unsubscribe`, `off` or after it was called by `once`) and it is not paused.
+ *
+ * @return {Boolean}
+ */
+function Subscription$isActive() {
+    return ! this.paused && this.messenger._isSubscribed(this.messages, this.subscriber);
+}
+
+
+/**
+ * `milo.Messenger.CompositeSubscription`
+ * Groups subscription handles (or any objects with `unsubscribe` method) so they can be disposed together, e.g. when component is destroyed.
+ * Usage:
+ * ```
+ * var subscriptions = new Messenger.CompositeSubscription;
+ * subscriptions.add(model.on('.name', onNameChange, { subscription: true }));
+ * subscriptions.add(messenger.onMessages({ 'a': onA, 'b': onB }, { subscription: true }));
+ *
+ * // on teardown
+ * subscriptions.unsubscribe();
+ * ```
+ * Subscriptions added after the composite subscription was unsubscribed are unsubscribed immediately.
+ *
+ * @constructor
+ * @param {Array[Subscription]} subscriptions optional list of subscriptions
+ * @return {CompositeSubscription}
+ */
+function CompositeSubscription(subscriptions) {
+    check(subscriptions, Match.Optional([Match.Where(isSubscription)]));
+    _.defineProperty(this, 'subscriptions', []);
+    _.defineProperty(this, 'closed', false, _.WRIT);
+    if (subscriptions)
+        subscriptions.forEach(this.add, this);
+}
+
+Subscription.Composite = CompositeSubscription;
+
+
+/**
+ * ####CompositeSubscription instance methods####
+ *
+ * - [add](#CompositeSubscription$add) - adds subscription to the group
+ * - [remove](#CompositeSubscription$remove) - removes subscription from the group without unsubscribing it
+ * - [unsubscribe](#CompositeSubscription$unsubscribe) - unsubscribes all subscriptions
+ * - [pause](#CompositeSubscription$pause) - pauses all subscriptions
+ * - [resume](#CompositeSubscription$resume) - resumes all subscriptions
+ * - [isActive](#CompositeSubscription$isActive) - returns true if some subscription is active
+ */
+_.extendProto(CompositeSubscription, {
+    add: CompositeSubscription$add,
+    remove: CompositeSubscription$remove,
+    unsubscribe: CompositeSubscription$unsubscribe,
+    pause: CompositeSubscription$pause,
+    resume: CompositeSubscription$resume,
+    isActive: CompositeSubscription$isActive
+});
+
+
+/**
+ * CompositeSubscription instance method
+ * Adds subscription to the group. If the group is already unsubscribed, the subscription is unsubscribed immediately.
+ *
+ * @param {Subscription} subscription subscription or any object with `unsubscribe` method
+ * @return {Subscription} the added subscription
+ */
+function CompositeSubscription$add(subscription) {
+    check(subscription, Match.Where(isSubscription));
+    if (this.closed)
+        subscription.unsubscribe();
+    else if (this.subscriptions.indexOf(subscription) == -1)
+        this.subscriptions.push(subscription);
+    return subscription;
+}
+
+
+/**
+ * CompositeSubscription instance method
+ * Removes subscription from the group without unsubscribing it.
+ *
+ * @param {Subscription} subscription
+ * @return {Boolean} true if subscription was in the group
+ */
+function CompositeSubscription$remove(subscription) {
+    var index = this.subscriptions.indexOf(subscription);
+    if (index >= 0) this.subscriptions.splice(index, 1);
+    return index >= 0;
+}
+
+
+/**
+ * CompositeSubscription instance method
+ * Unsubscribes all subscriptions in the group and empties it.
+ *
+ * @return {Boolean} true if some subscriber was removed
+ */
+function CompositeSubscription$unsubscribe() {
+    this.closed = true;
+    return this.subscriptions.splice(0).reduce(function(removed, subscription) {
+        return subscription.unsubscribe() || removed;
+    }, false);
+}
+
+
+/**
+ * CompositeSubscription instance method
+ * Pauses all subscriptions in the group that can be paused.
+ */
+function CompositeSubscription$pause() {
+    _callEach.call(this, 'pause');
+}
+
+
+/**
+ * CompositeSubscription instance method
+ * Resumes all subscriptions in the group that can be resumed.
+ */
+function CompositeSubscription$resume() {
+    _callEach.call(this, 'resume');
+}
+
+
+/**
+ * CompositeSubscription instance method
+ * Returns true if some subscription in the group is active.
+ *
+ * @return {Boolean}
+ */
+function CompositeSubscription$isActive() {
+    return this.subscriptions.some(function(subscription) {
+        return typeof subscription.isActive == 'function' && subscription.isActive();
+    });
+}
+
+
+function _callEach(methodName) {
+    this.subscriptions.forEach(function(subscription) {
+        if (typeof subscription[methodName] == 'function')
+            subscription[methodName]();
+    });
+}
+
+
+function isSubscription(subscription) {
+    return subscription != null && typeof subscription.unsubscribe == 'function';
+}
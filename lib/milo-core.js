@@ -12,6 +12,7 @@ var _ = require('protojs');
  * - [classes](./classes.js.html) - abstract and base classes
  * - [Messenger](./messenger/index.js.html) - generic Messenger used in most other milo classes, can be mixed into app classes too.
  * - [Model](./model/index.js.html) - Model class that emits messages on changes to any depth without timer based watching
+ * - [testing](./testing/index.js.html) - utilities for tests, e.g. virtual clock to control asynchronous propagation of changes
  */
 var milo = {
     minder: require('./minder'),
@@ -20,6 +21,7 @@ var milo = {
     classes: require('./classes'),
     Messenger: require('./messenger'),
     Model: require('./model'),
+    testing: require('./testing'),
     destroy: destroy,
     proto: _
 };
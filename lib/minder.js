@@ -2,6 +2,7 @@
 
 var Connector = require('./model/connector')
     , Messenger = require('./messenger')
+    , Scheduler = require('./messenger/scheduler')
     , _ = require('protojs')
     , logger = require('./util/logger');
 
@@ -79,7 +80,7 @@ function onConnectorMessage(msg, data) {
     });
     minder.postMessage(msg, data);
     if (! _receivedMessages.length && ! _isPropagating) {
-        _.defer(_idleCheck);
+        Scheduler.defer(_idleCheck);
         _isPropagating = true;
     }
 
@@ -90,7 +91,7 @@ function onConnectorMessage(msg, data) {
 function _idleCheck() {
     if (_receivedMessages.length) {
         _receivedMessages.length = 0;
-        _.defer(_idleCheck);
+        Scheduler.defer(_idleCheck);
         minder.postMessage('propagationticked');
     } else {
         _isPropagating = false;
@@ -108,7 +109,7 @@ function minder_whenPropagationCompleted(callback) {
     if (_isPropagating)
         minder.once('propagationcompleted', executeCallback);
     else
-        _.defer(executeCallback);
+        Scheduler.defer(executeCallback);
 
     function executeCallback() {
         if (_isPropagating)
@@ -0,0 +1,195 @@
+'use strict';
+
+
+var pathUtils = require('./path_utils')
+    , modelUtils = require('./model_utils')
+    , changeDataHandler = require('./change_data')
+    , _ = require('protojs');
+
+
+module.exports = ModelBatch;
+
+
+/**
+ * Collects changes made by model accessors inside `model.batch(fn)` call and posts them as one transaction when the batch ends.
+ * The instance is created by [Model](./index.js.html) `batch` method, it should not be created directly.
+ *
+ * Repeated changes of the same path are collapsed into one change with the first `oldValue` and the last `newValue`, the changes that have no effect are removed.
+ * Splices are collapsed into the change of the whole array (with `oldValue` and `newValue` copied when the splice is made), because [changeDataHandler](./change_data.js.html) does not apply the changes that follow splice in the same transaction.
+ * Changes of array items before and after splice of the array are not collapsed, as they may refer to different items.
+ * `newValue` of the changed objects is updated with the subsequent changes inside them, so the changes inside them can be skipped (as [changeDataHandler](./change_data.js.html) does).
+ *
+ * @constructor
+ * @param {Model} model model which changes are collected
+ * @return {ModelBatch}
+ */
+function ModelBatch(model) {
+    this.model = model;
+    this.accessorsChanges = [];
+}
+
+
+/**
+ * ####ModelBatch instance methods####
+ *
+ * - [add](#ModelBatch$add) - adds changes made by one accessor call
+ * - [collapse](#ModelBatch$collapse) - returns collapsed list of changes
+ * - [post](#ModelBatch$post) - posts collapsed changes
+ */
+_.extendProto(ModelBatch, {
+    add: ModelBatch$add,
+    collapse: ModelBatch$collapse,
+    post: ModelBatch$post
+});
+
+
+/**
+ * ModelBatch instance method
+ * Adds changes made by one accessor call. Called by synthesized accessors instead of posting messages.
+ *
+ * @param {Array[Object]} changes list of changes
+ */
+function ModelBatch$add(changes) {
+    this.accessorsChanges.push(changes.map(function(change) {
+        return change.type == 'splice' ? copySplice(change) : change;
+    }));
+}
+
+
+/**
+ * ModelBatch instance method
+ * Returns collapsed list of all changes added to the batch.
+ *
+ * @return {Array[Object]}
+ */
+function ModelBatch$collapse() {
+    var collapsed = []
+        , records = {} // records that changes of the same path can be collapsed into
+        , copiedRecords = []; // records with newValue copied to apply subsequent changes to it
+
+    this.accessorsChanges.forEach(function(changes) {
+        changes.forEach(function(change) {
+            var isTopChange = ! changes.some(function(ch) {
+                return pathUtils.isSubPath(change.path, ch.path, true);
+            });
+            if (isTopChange) updateParentRecords(change);
+
+            if (change.type == 'splice') {
+                sealRecords(change.path);
+                change = { path: change.path, type: 'changed', oldValue: change.oldValue, newValue: change.newValue };
+            }
+
+            var record = records[change.path];
+            if (record)
+                mergeChange(record, change);
+            else {
+                record = records[change.path] = _.clone(change);
+                collapsed.push(record);
+            }
+        });
+    });
+
+    return collapsed.filter(changesValue);
+
+
+    function updateParentRecords(change) {
+        var isSplice = change.type == 'splice';
+
+        _.eachKey(records, function(record, path) {
+            if (! pathUtils.isSubPath(change.path, path, ! isSplice)
+                    || ! record.hasOwnProperty('newValue')
+                    || ! modelUtils.valueIsNormalObject(record.newValue))
+                return;
+
+            if (change.path == path)
+                record.newValue = modelUtils.cloneTree(change.newValue);
+            else {
+                if (copiedRecords.indexOf(record) == -1) {
+                    record.newValue = modelUtils.cloneTree(record.newValue);
+                    copiedRecords.push(record);
+                }
+                modelUtils.setTreeValue(record.newValue, change.path.slice(path.length),
+                    modelUtils.cloneTree(change.newValue), ! change.hasOwnProperty('newValue'));
+            }
+        });
+    }
+
+
+    function sealRecords(splicePath) {
+        Object.keys(records).forEach(function(path) {
+            if (pathUtils.isSubPath(path, splicePath, true))
+                delete records[path];
+        });
+    }
+
+
+    function mergeChange(record, change) {
+        var existedBefore = record.hasOwnProperty('oldValue');
+
+        if (change.hasOwnProperty('newValue')) {
+            record.type = existedBefore ? 'changed' : 'added';
+            record.newValue = change.newValue;
+        } else {
+            record.type = change.type;
+            delete record.newValue;
+        }
+
+        var copiedIndex = copiedRecords.indexOf(record);
+        if (copiedIndex >= 0) copiedRecords.splice(copiedIndex, 1);
+    }
+}
+
+
+/**
+ * ModelBatch instance method
+ * Posts collapsed changes as one "datachanges" message with `transaction: true`, posts messages for all changed paths and then posts the end of transaction
+ */
+function ModelBatch$post() {
+    var changes = this.collapse();
+    if (! changes.length) return;
+
+    var model = this.model;
+    model.postMessageSync('datachanges', {
+        changes: changes,
+        transaction: true
+    });
+
+    changes.forEach(function(change) {
+        model._internalMessenger.postMessage(change.path, change);
+    });
+
+    changeDataHandler.postTransactionFinished.call(model);
+}
+
+
+/**
+ * Copies the array before and after splice, as the array can be changed by the subsequent changes in the batch
+ *
+ * @private
+ * @param {Object} change splice change
+ * @return {Object}
+ */
+function copySplice(change) {
+    var array = change.newValue
+        , arrayBefore = array.slice(0, change.index)
+                            .concat(change.removed, array.slice(change.index + change.addedCount));
+
+    return {
+        path: change.path,
+        type: 'splice',
+        oldValue: modelUtils.cloneTree(arrayBefore),
+        newValue: modelUtils.cloneTree(array)
+    };
+}
+
+
+function changesValue(change) {
+    switch (change.type) {
+        case 'changed':
+            return change.oldValue !== change.newValue;
+        default:
+            // added and then deleted
+            return change.hasOwnProperty('oldValue') || change.hasOwnProperty('newValue');
+    }
+}
+
@@ -0,0 +1,304 @@
+'use strict';
+
+
+var pathUtils = require('./path_utils')
+    , Scheduler = require('../messenger/scheduler')
+    , _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+module.exports = ModelComputed;
+
+
+/**
+ * `milo.Model.Computed`
+ * Manages computed (derived) properties of [Model](./index.js.html) added with `model.computed(path, dependencies, fn)`.
+ * The instance is created by Model when the first computed property is added, it should not be created directly.
+ *
+ * Computed property subscribes to its dependency paths (that can have "*" segments, as in subscriptions) and recomputes its value when any of them changes.
+ * The value is written with the normal setter, so "changed" messages are posted and the value is propagated via [minder](../minder.js.html) connections.
+ * Writes to computed paths (or inside them) other than by computed property itself throw an error. If the value is changed by the write to the parent path, it is recomputed.
+ * [History](./history.js.html), `restore` and `applyPatch` skip the changes of computed paths, the values are recomputed when the changes of their dependencies are applied.
+ *
+ * @constructor
+ * @param {Model} model model which properties are computed
+ * @return {ModelComputed}
+ */
+function ModelComputed(model) {
+    this.model = model;
+    this.properties = {};
+    this._writingPath = undefined;
+}
+
+
+/**
+ * ####ModelComputed instance methods####
+ *
+ * - [add](#add) - adds computed property
+ * - [remove](#remove) - removes computed property
+ * - [recompute](#recompute) - recomputes property value
+ * - [isComputed](#isComputed) - returns true if the path is computed or is inside computed path
+ * - [checkWrite](#checkWrite) - throws if the path can't be written by model accessors
+ * - [destroy](#ModelComputed$destroy) - removes all computed properties
+ */
+_.extendProto(ModelComputed, {
+    add: ModelComputed$add,
+    remove: ModelComputed$remove,
+    recompute: ModelComputed$recompute,
+    isComputed: ModelComputed$isComputed,
+    checkWrite: ModelComputed$checkWrite,
+    destroy: ModelComputed$destroy,
+    _findCycle: _findCycle,
+    _invalidate: _invalidate
+});
+
+
+/**
+ * ####ModelComputed class methods####
+ *
+ * - [isComputedPath](#ModelComputed$$isComputedPath) - returns true if ModelPath is computed
+ */
+_.extend(ModelComputed, {
+    isComputedPath: ModelComputed$$isComputedPath
+});
+
+
+/**
+ * ModelComputed instance method
+ * Adds computed property and sets its initial value.
+ *
+ * @param {String} path access path of computed property, can't have "*" segments or interpolation
+ * @param {Array[String]} dependencies access paths that the property depends on, can have "*" segments
+ * @param {Function} fn function that is called with the values of dependencies and the model as context and returns the value of the property.
+ *  For the dependencies with "*" segments the value of their part before the first "*" segment is passed (e.g. the value of `'.order.items'` for `'.order.items[*].price'`).
+ * @param {Object} options optional, pass `{ lazy: true }` to recompute the value asynchronously once after all changes of dependencies instead of recomputing it after every change
+ */
+function ModelComputed$add(path, dependencies, fn, options) {
+    check(path, String);
+    check(dependencies, [String]);
+    check(fn, Function);
+    check(options, Match.Optional({ lazy: Match.Optional(Boolean) }));
+
+    var parsedPath = pathUtils.parseAccessPath(path);
+    if (! parsedPath.length || parsedPath.some(function(pathNode) { return pathNode.interpolate; }))
+        throw new Error('Model computed: path should not be empty or interpolated: ' + path);
+
+    _.eachKey(this.properties, function(property, computedPath) {
+        if (pathUtils.isSubPath(path, computedPath) || pathUtils.isSubPath(computedPath, path))
+            throw new Error('Model computed: path ' + path + ' overlaps with computed path ' + computedPath);
+    });
+
+    var property = {
+        path: path,
+        dependencies: dependencies,
+        valuePaths: dependencies.map(getValuePath),
+        fn: fn,
+        lazy: !! (options && options.lazy)
+    };
+
+    var cycle = this._findCycle(property, [path]);
+    if (cycle)
+        throw new Error('Model computed: circular dependency ' + cycle.join(' -> '));
+
+    var self = this;
+    property.onDependencyChange = function() {
+        self._invalidate(property);
+    };
+    property.onValueChange = function() {
+        // value is changed by write to the parent path
+        if (self._writingPath != path)
+            self._invalidate(property);
+    };
+
+    this.properties[path] = property;
+    dependencies.forEach(function(dependency) {
+        this.model.onSync(dependency, property.onDependencyChange);
+    }, this);
+    this.model.onSync(path, property.onValueChange);
+
+    this.recompute(path);
+}
+
+
+/**
+ * ModelComputed instance method
+ * Removes computed property, its value stays in the model and can be changed.
+ *
+ * @param {String} path access path of computed property
+ */
+function ModelComputed$remove(path) {
+    var property = this.properties[path];
+    if (! property) return;
+
+    property.dependencies.forEach(function(dependency) {
+        this.model.off(dependency, property.onDependencyChange);
+    }, this);
+    this.model.off(path, property.onValueChange);
+    property.removed = true;
+    delete this.properties[path];
+}
+
+
+/**
+ * ModelComputed instance method
+ * Recomputes the value of computed property and writes it to the model.
+ *
+ * @param {String} path access path of computed property
+ */
+function ModelComputed$recompute(path) {
+    var property = this.properties[path];
+    if (! property)
+        throw new Error('Model computed: no computed property ' + path);
+
+    var model = this.model;
+    property.scheduled = false;
+
+    var values = property.valuePaths.map(function(valuePath) {
+        return model(valuePath).get();
+    });
+    var value = property.fn.apply(model, values);
+
+    var prevWritingPath = this._writingPath;
+    this._writingPath = path;
+    try {
+        model(path).set(value);
+    } finally {
+        this._writingPath = prevWritingPath;
+    }
+}
+
+
+/**
+ * ModelComputed instance method
+ * Returns true if the path is computed or is inside computed path
+ *
+ * @param {String} path access path
+ * @return {Boolean}
+ */
+function ModelComputed$isComputed(path) {
+    return Object.keys(this.properties).some(function(computedPath) {
+        return pathUtils.isSubPath(path, computedPath);
+    });
+}
+
+
+/**
+ * ModelComputed instance method
+ * Throws if the path is computed or is inside computed path and it is not written by computed property.
+ * Called by synthesized `set`, `del` and `splice` methods.
+ *
+ * @param {String} path access path that is changed
+ */
+function ModelComputed$checkWrite(path) {
+    if (path != this._writingPath && this.isComputed(path))
+        throw new Error('Model computed: can\'t write to computed path ' + path);
+}
+
+
+/**
+ * Returns true if the change at ModelPath should be skipped by history, `restore` and `applyPatch`, because ModelPath is computed
+ *
+ * @param {ModelPath} modelPath
+ * @return {Boolean}
+ */
+function ModelComputed$$isComputedPath(modelPath) {
+    // model itself (returned by `model.path('')`) can't be computed
+    var computed = modelPath._model && modelPath._model._computed;
+    return !! computed && computed.isComputed(modelPath._accessPath);
+}
+
+
+/**
+ * ModelComputed instance method
+ * Removes all computed properties
+ */
+function ModelComputed$destroy() {
+    Object.keys(this.properties).forEach(this.remove, this);
+}
+
+
+/**
+ * Recomputes property or schedules recomputing for lazy property
+ *
+ * @private
+ * @param {Object} property
+ */
+function _invalidate(property) {
+    if (property.lazy) {
+        if (property.scheduled) return;
+        property.scheduled = true;
+        var self = this;
+        Scheduler.defer(function() {
+            if (property.scheduled && ! property.removed && ! self.model._destroyed)
+                self.recompute(property.path);
+        });
+    } else
+        this.recompute(property.path);
+}
+
+
+/**
+ * Returns the chain of paths (in the order changes propagate) if the property depends on itself via other computed properties, `undefined` otherwise
+ *
+ * @private
+ * @param {Object} property property being added
+ * @param {Array[String]} chain paths of properties that change the property
+ * @return {Array[String]}
+ */
+function _findCycle(property, chain) {
+    var changedPath = chain[chain.length - 1]
+        , properties = _.clone(this.properties)
+        , cycle;
+    properties[property.path] = property;
+
+    Object.keys(properties).some(function(path) {
+        var affected = properties[path].dependencies.some(function(dependency) {
+            return dependencyChanges(dependency, changedPath);
+        });
+        if (affected)
+            cycle = path == property.path
+                        ? chain.concat(path)
+                        : chain.indexOf(path) == -1
+                            ? this._findCycle(property, chain.concat(path))
+                            : undefined;
+        return cycle;
+    }, this);
+
+    return cycle;
+}
+
+
+/**
+ * Returns true if subscription to dependency receives message when value at path is changed,
+ * i.e. when dependency or any part of it matches the path (the messages are posted for all paths inside changed value)
+ *
+ * @param {String} dependency access path that can have "*" segments
+ * @param {String} path access path without "*" segments
+ * @return {Boolean}
+ */
+function dependencyChanges(dependency, path) {
+    var parsedDependency = pathUtils.parsePathPattern(dependency)
+        , prefix = '';
+
+    return parsedDependency.some(function(pathNode) {
+        prefix += pathNode.property;
+        var pattern = pathUtils.createRegexPath(prefix);
+        return pattern instanceof RegExp ? pattern.test(path) : pattern == path;
+    });
+}
+
+
+/**
+ * Returns the part of dependency path before the first "*" segment
+ *
+ * @param {String} dependency access path that can have "*" segments
+ * @return {String}
+ */
+function getValuePath(dependency) {
+    var starIndex = dependency.indexOf('*');
+    if (starIndex == -1) return dependency;
+
+    var valuePath = dependency.slice(0, starIndex);
+    return valuePath.replace(/(\.|\[)$/, '');
+}
@@ -1,6 +1,7 @@
 'use strict';
 
 var Messenger = require('../messenger')
+    , Scheduler = require('../messenger/scheduler')
     , pathUtils = require('./path_utils')
     , _ = require('protojs')
     , logger = require('../util/logger');
@@ -144,7 +145,10 @@ function Connector$changeMode(mode) {
  * @return {Object[String]}
  */
 function Connector$deferChangeMode(mode) {
-    _.deferMethod(this, 'changeMode', mode);
+    var self = this;
+    Scheduler.defer(function() {
+        self.changeMode(mode);
+    });
     return this;
 }
 
@@ -260,7 +264,7 @@ function Connector$turnOn() {
             });
 
             if (! changesQueue.length)
-                _.defer(postChangeData);
+                Scheduler.defer(postChangeData);
 
             changesQueue.push(sendData);
 
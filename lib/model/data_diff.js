@@ -0,0 +1,201 @@
+'use strict';
+
+
+var modelUtils = require('./model_utils')
+    , pathUtils = require('./path_utils')
+    , ModelComputed = require('./computed')
+    , changeDataHandler = require('./change_data')
+    , setTransactionFlag = changeDataHandler.setTransactionFlag
+    , postTransactionFinished = changeDataHandler.postTransactionFinished
+    , _ = require('protojs');
+
+
+/**
+ * Utility functions to compute the difference between two data trees as the list of changes
+ * in the same format that is used in "datachanges" messages of [Model](./index.js.html)
+ * and to apply such changes with model accessors.
+ */
+var dataDiff = {
+    diff: diff,
+    applyChanges: applyChanges,
+    filterChanges: filterChanges
+};
+
+module.exports = dataDiff;
+
+
+/**
+ * Computes the minimal list of changes that converts `oldValue` to `newValue`.
+ * Changes are `{ path, type, oldValue, newValue }` objects with type 'added', 'changed' or 'removed'.
+ * Changes in array length are represented with 'splice' changes `{ path, type, index, removed, addedCount, newValue }` where `newValue` is the array after the change.
+ * If some object has properties that cannot be used in access path, the whole object is reported as changed.
+ *
+ * @param {Any} oldValue
+ * @param {Any} newValue
+ * @param {String} rootPath optional path to prepend to paths of changes
+ * @param {Function} isEqual optional function that returns true if two values are equal; it is called for all values before comparing them (by default only leaf values are compared with `_.isEqual`)
+ * @return {Array[Object]}
+ */
+function diff(oldValue, newValue, rootPath, isEqual) {
+    var changes = [];
+    _diffValues(rootPath || '', oldValue, newValue);
+    return changes;
+
+
+    function _diffValues(path, oldValue, newValue) {
+        if (isEqual && isEqual(oldValue, newValue)) return;
+
+        var oldIsObject = modelUtils.valueIsNormalObject(oldValue)
+            , newIsObject = modelUtils.valueIsNormalObject(newValue);
+
+        if (oldIsObject && newIsObject && Array.isArray(oldValue) == Array.isArray(newValue)) {
+            if (Array.isArray(oldValue))
+                _diffArrays(path, oldValue, newValue);
+            else
+                _diffObjects(path, oldValue, newValue);
+        } else if (typeof oldValue == 'undefined') {
+            if (typeof newValue != 'undefined')
+                changes.push({ path: path, type: 'added', newValue: newValue });
+        } else if (typeof newValue == 'undefined')
+            changes.push({ path: path, type: 'removed', oldValue: oldValue });
+        else if (isEqual || oldIsObject || newIsObject || ! _.isEqual(oldValue, newValue))
+            changes.push({ path: path, type: 'changed', oldValue: oldValue, newValue: newValue });
+    }
+
+
+    function _diffObjects(path, oldValue, newValue) {
+        var oldKeys = Object.keys(oldValue)
+            , newKeys = Object.keys(newValue);
+
+        var hasInvalidKeys = oldKeys.some(isInvalidKey) || newKeys.some(isInvalidKey);
+        if (hasInvalidKeys) {
+            if (isEqual || ! _.isEqual(oldValue, newValue))
+                changes.push({ path: path, type: 'changed', oldValue: oldValue, newValue: newValue });
+            return;
+        }
+
+        oldKeys.forEach(function(key) {
+            if (! newValue.hasOwnProperty(key))
+                changes.push({ path: path + '.' + key, type: 'removed', oldValue: oldValue[key] });
+        });
+
+        newKeys.forEach(function(key) {
+            var propPath = path + '.' + key;
+            if (oldValue.hasOwnProperty(key))
+                _diffValues(propPath, oldValue[key], newValue[key]);
+            else
+                changes.push({ path: propPath, type: 'added', newValue: newValue[key] });
+        });
+    }
+
+
+    function _diffArrays(path, oldValue, newValue) {
+        var oldLength = oldValue.length
+            , newLength = newValue.length
+            , commonLength = Math.min(oldLength, newLength);
+
+        for (var i = 0; i < commonLength; i++)
+            _diffValues(path + '[' + i + ']', oldValue[i], newValue[i]);
+
+        if (oldLength != newLength)
+            changes.push({
+                path: path,
+                type: 'splice',
+                index: commonLength,
+                removed: oldValue.slice(commonLength),
+                addedCount: newLength - commonLength,
+                newValue: newValue
+            });
+    }
+
+
+    function isInvalidKey(key) {
+        return ! pathUtils.validPropertyPattern.test(key);
+    }
+}
+
+
+/**
+ * Applies the list of changes (in the format returned by `diff` or posted in "datachanges" message) to model or model path using its accessors.
+ * All accessors are called in one transaction, so connected data sources receive all changes together.
+ * Changes that are already covered by the previous changes of their parent paths (e.g., "added" messages for subproperties of the added object or items of spliced array) are not applied.
+ * Changes of [computed](./computed.js.html) paths are not applied either, the values are recomputed when their dependencies change.
+ *
+ * @param {Model|ModelPath} modelPath model or model path to apply changes to, paths of changes are relative to it
+ * @param {Array[Object]} changes list of changes
+ */
+function applyChanges(modelPath, changes) {
+    filterChanges(changes).forEach(function(change) {
+        var changePath = modelPath.path(change.path);
+        if (ModelComputed.isComputedPath(changePath)) return;
+
+        switch (change.type) {
+            case 'added':
+            case 'changed':
+                return callAccessor(changePath, 'set', [change.newValue]);
+            case 'deleted':
+            case 'removed':
+                return callAccessor(changePath, 'del', []);
+            case 'splice':
+                var index = change.index
+                    , added = change.newValue.slice(index, index + change.addedCount);
+                return callAccessor(changePath, 'splice', [index, change.removed.length].concat(added));
+        }
+    });
+
+    if (modelPath._options.reactive !== false)
+        postTransactionFinished.call(modelPath);
+}
+
+
+/**
+ * Removes changes of paths inside the paths that were set, deleted or spliced by the previous changes.
+ * The rules are the same as used by [changeDataHandler](./change_data.js.html) to process "changedata" message.
+ *
+ * @param {Array[Object]} changes list of changes
+ * @return {Array[Object]}
+ */
+function filterChanges(changes) {
+    var changedPaths = []
+        , splicedPaths = [];
+
+    return changes.filter(function(change) {
+        var path = change.path;
+
+        if (! CHANGE_TYPES[change.type])
+            throw new Error('unknown data change type: ' + change.type);
+
+        if (change.type == 'splice') {
+            if (changedPaths.some(isParentOf(false))) return false;
+            splicedPaths.push(path);
+        } else {
+            if (changedPaths.some(isParentOf(true))
+                    || splicedPaths.some(isArrayParent)) return false;
+            changedPaths.push(path);
+        }
+
+        return true;
+
+
+        function isParentOf(strict) {
+            return function(parentPath) {
+                return pathUtils.isSubPath(path, parentPath, strict);
+            };
+        }
+
+        function isArrayParent(parentPath) {
+            return path[parentPath.length] == '['
+                    && pathUtils.isSubPath(path, parentPath, true);
+        }
+    });
+}
+
+
+var CHANGE_TYPES = _.object(['added', 'changed', 'deleted', 'removed', 'splice'], true);
+
+
+function callAccessor(modelPath, methodName, args) {
+    var method = modelPath[methodName];
+    setTransactionFlag(method, true);
+    method.apply(modelPath, args);
+}
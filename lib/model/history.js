@@ -0,0 +1,343 @@
+'use strict';
+
+var Messenger = require('../messenger')
+    , modelUtils = require('./model_utils')
+    , pathUtils = require('./path_utils')
+    , ModelComputed = require('./computed')
+    , changeDataHandler = require('./change_data')
+    , setTransactionFlag = changeDataHandler.setTransactionFlag
+    , postTransactionFinished = changeDataHandler.postTransactionFinished
+    , _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+module.exports = ModelHistory;
+
+
+/**
+ * `milo.Model.History`
+ * Records "datachanges" batches posted by synthesized `set`, `del` and `splice` methods of [Model](./index.js.html) or [ModelPath](./m_path.js.html) as invertible entries and allows to undo and redo them.
+ * Batches posted with `transaction: true` (e.g., when the model is changed via [Connector](./connector.js.html)) are grouped into one entry until the batch with `transaction: false` is posted.
+ * Undo and redo are executed with the normal accessors, so all subscribers and connected data sources receive the reverted changes.
+ * Batches that only change [computed properties](./computed.js.html) are added to the entry with the changes of their dependencies, computed paths are not changed by undo and redo, they are recomputed.
+ *
+ * ####Events####
+ *
+ * - 'recorded' - new entry was added to undo stack
+ * - 'undone' - entry was undone
+ * - 'redone' - entry was redone
+ * - 'cleared' - history was cleared
+ *
+ * All messages are posted with data `{ canUndo: Boolean, canRedo: Boolean }`.
+ *
+ * Usage:
+ * ```
+ * var m = new Model
+ *     , history = new Model.History(m, { maxDepth: 50 });
+ * m('.info.name').set('milo');
+ * history.undo(); // m.get() is undefined
+ * history.redo(); // m.get() is { info: { name: 'milo' } }
+ * ```
+ *
+ * @constructor
+ * @param {Model|ModelPath} model model which changes will be recorded
+ * @param {Object} options optional object with property `maxDepth` - the maximum number of entries in undo stack (100 by default)
+ * @return {ModelHistory}
+ */
+function ModelHistory(model, options) {
+    check(model, Function);
+    check(options, Match.Optional({ maxDepth: Match.Optional(Number) }));
+
+    options = options || {};
+
+    _.extend(this, {
+        model: model,
+        maxDepth: options.maxDepth === undefined ? DEFAULT_MAX_DEPTH : options.maxDepth,
+        _undoStack: [],
+        _redoStack: [],
+        _currentEntry: undefined,
+        _lastEntry: undefined,
+        _applyingChanges: false,
+        _destroyed: false,
+        _messenger: new Messenger(this, Messenger.defaultMethods)
+    });
+
+    _.defineProperty(this, '_onDataChanges', onDataChanges.bind(this));
+    model.onSync('datachanges', this._onDataChanges);
+}
+
+
+var DEFAULT_MAX_DEPTH = 100;
+
+
+/**
+ * ####ModelHistory instance methods####
+ *
+ * - [undo](#ModelHistory$undo) - reverts the last recorded entry
+ * - [redo](#ModelHistory$redo) - re-applies the last undone entry
+ * - [canUndo](#ModelHistory$canUndo)
+ * - [canRedo](#ModelHistory$canRedo)
+ * - [clear](#ModelHistory$clear) - clears undo and redo stacks
+ * - [destroy](#ModelHistory$destroy) - stops recording model changes
+ */
+_.extendProto(ModelHistory, {
+    undo: ModelHistory$undo,
+    redo: ModelHistory$redo,
+    canUndo: ModelHistory$canUndo,
+    canRedo: ModelHistory$canRedo,
+    clear: ModelHistory$clear,
+    destroy: ModelHistory$destroy,
+    _postStackMessage: _postStackMessage
+});
+
+
+/**
+ * Subscriber to "datachanges" message of the model.
+ * Batches in transaction are added to the same entry.
+ *
+ * @private
+ * @param {String} msg "datachanges"
+ * @param {Object} batch batch of changes with properties `changes` and `transaction`
+ */
+function onDataChanges(msg, batch) {
+    if (this._applyingChanges) return;
+
+    var changes = getEntryChanges(batch.changes)
+        , entry;
+
+    if (changes.length && isRecompute(this.model, changes)) {
+        entry = this._currentEntry || this._lastEntry;
+        if (entry) entry.push(changes);
+        return;
+    }
+
+    if (! batch.transaction) this._currentEntry = undefined;
+    if (! changes.length) return;
+
+    if (batch.transaction && this._currentEntry) {
+        this._currentEntry.push(changes);
+        return;
+    }
+
+    entry = this._lastEntry = [changes];
+    if (batch.transaction) this._currentEntry = entry;
+
+    this._undoStack.push(entry);
+    if (this._undoStack.length > this.maxDepth)
+        this._undoStack.shift();
+    this._redoStack.length = 0;
+
+    this._postStackMessage('recorded');
+}
+
+
+/**
+ * Returns true if all changes are the changes of computed properties, i.e. the batch is posted when the properties are recomputed
+ *
+ * @private
+ * @param {Model|ModelPath} model
+ * @param {Array[Object]} changes
+ * @return {Boolean}
+ */
+function isRecompute(model, changes) {
+    return changes.every(function(change) {
+        return ModelComputed.isComputedPath(model.path(change.path));
+    });
+}
+
+
+/**
+ * Selects changes that are not covered by the changes of their parent paths and copies their data,
+ * so that future model changes do not affect the recorded entry.
+ *
+ * @private
+ * @param {Array[Object]} changes changes from "datachanges" batch
+ * @return {Array[Object]}
+ */
+function getEntryChanges(changes) {
+    var paths = [];
+
+    return changes.reduce(function(entryChanges, change) {
+        var path = change.path;
+        var pathCovered = paths.some(function(parentPath) {
+            return pathUtils.isSubPath(path, parentPath);
+        });
+        if (pathCovered) return entryChanges;
+
+        paths.push(path);
+        var entryChange = {
+            path: path,
+            type: change.type,
+            oldValue: modelUtils.cloneTree(change.oldValue),
+            newValue: modelUtils.cloneTree(change.newValue)
+        };
+        if (change.type == 'splice')
+            _.extend(entryChange, {
+                index: change.index,
+                removed: modelUtils.cloneTree(change.removed),
+                added: modelUtils.cloneTree(change.newValue.slice(change.index, change.index + change.addedCount))
+            });
+        entryChanges.push(entryChange);
+        return entryChanges;
+    }, []);
+}
+
+
+/**
+ * ModelHistory instance method
+ * Reverts the last recorded entry. Returns `true` if there was an entry to undo, `false` after history is destroyed.
+ * If reverting throws (e.g., because of schema validation), the entry stays in undo stack and the exception is rethrown.
+ *
+ * @return {Boolean}
+ */
+function ModelHistory$undo() {
+    if (this._destroyed) return false;
+
+    var entry = this._undoStack.pop();
+    if (! entry) return false;
+
+    this._currentEntry = this._lastEntry = undefined;
+    try {
+        _applyEntry.call(this, entry, true);
+    } catch (e) {
+        this._undoStack.push(entry);
+        throw e;
+    }
+    this._redoStack.push(entry);
+    this._postStackMessage('undone');
+    return true;
+}
+
+
+/**
+ * ModelHistory instance method
+ * Re-applies the last undone entry. Returns `true` if there was an entry to redo, `false` after history is destroyed.
+ * If re-applying throws, the entry stays in redo stack and the exception is rethrown.
+ *
+ * @return {Boolean}
+ */
+function ModelHistory$redo() {
+    if (this._destroyed) return false;
+
+    var entry = this._redoStack.pop();
+    if (! entry) return false;
+
+    this._lastEntry = undefined;
+    try {
+        _applyEntry.call(this, entry, false);
+    } catch (e) {
+        this._redoStack.push(entry);
+        throw e;
+    }
+    this._undoStack.push(entry);
+    this._postStackMessage('redone');
+    return true;
+}
+
+
+function ModelHistory$canUndo() {
+    return this._undoStack.length > 0;
+}
+
+
+function ModelHistory$canRedo() {
+    return this._redoStack.length > 0;
+}
+
+
+/**
+ * ModelHistory instance method
+ * Removes all entries from undo and redo stacks
+ */
+function ModelHistory$clear() {
+    this._undoStack.length = 0;
+    this._redoStack.length = 0;
+    this._currentEntry = this._lastEntry = undefined;
+    this._postStackMessage('cleared');
+}
+
+
+/**
+ * ModelHistory instance method
+ * Unsubscribes from the model and destroys history messenger
+ */
+function ModelHistory$destroy() {
+    this.model.off('datachanges', this._onDataChanges);
+    this._undoStack.length = 0;
+    this._redoStack.length = 0;
+    this._messenger.destroy();
+    this._destroyed = true;
+}
+
+
+function _postStackMessage(message) {
+    this.postMessage(message, {
+        canUndo: this.canUndo(),
+        canRedo: this.canRedo()
+    });
+}
+
+
+/**
+ * Executes changes of the entry (or their inverse) with model accessors as one transaction.
+ * Changes of computed paths are skipped, they are recomputed when their dependencies change.
+ *
+ * @private
+ * @param {Array[Array[Object]]} entry list of batches of changes
+ * @param {Boolean} inverse true to revert changes
+ */
+function _applyEntry(entry, inverse) {
+    var model = this.model;
+    var batches = inverse ? entry.slice().reverse() : entry;
+
+    this._applyingChanges = true;
+    try {
+        batches.forEach(function(changes) {
+            if (inverse) changes = changes.slice().reverse();
+            changes.forEach(function(change) {
+                var modelPath = model.path(change.path);
+                if (! ModelComputed.isComputedPath(modelPath))
+                    (inverse ? revertChange : executeChange)(modelPath, change);
+            });
+        });
+        postTransactionFinished.call(model);
+    } finally {
+        this._applyingChanges = false;
+    }
+}
+
+
+function executeChange(modelPath, change) {
+    switch (change.type) {
+        case 'added':
+        case 'changed':
+            return callAccessor(modelPath, 'set', [change.newValue]);
+        case 'deleted':
+        case 'removed':
+            return callAccessor(modelPath, 'del', []);
+        case 'splice':
+            return callAccessor(modelPath, 'splice', [change.index, change.removed.length].concat(change.added));
+    }
+}
+
+
+function revertChange(modelPath, change) {
+    switch (change.type) {
+        case 'added':
+            return callAccessor(modelPath, 'del', []);
+        case 'changed':
+        case 'deleted':
+        case 'removed':
+            return callAccessor(modelPath, 'set', [change.oldValue]);
+        case 'splice':
+            return callAccessor(modelPath, 'splice', [change.index, change.added.length].concat(change.removed));
+    }
+}
+
+
+function callAccessor(modelPath, methodName, args) {
+    var method = modelPath[methodName];
+    setTransactionFlag(method, true);
+    method.apply(modelPath, args);
+}
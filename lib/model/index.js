@@ -1,10 +1,19 @@
 'use strict';
 
 var ModelPath = require('./m_path')
+    , ModelHistory = require('./history')
+    , ModelSchema = require('./schema')
+    , ModelComputed = require('./computed')
+    , ModelBatch = require('./batch')
+    , ModelPersistence = require('./persistence')
     , synthesize = require('./synthesize')
     , pathUtils = require('./path_utils')
     , modelUtils = require('./model_utils')
+    , dataDiff = require('./data_diff')
+    , jsonPatch = require('./json_patch')
+    , serialization = require('../util/serialization')
     , changeDataHandler = require('./change_data')
+    , snapshotMethods = require('./snapshot')
     , Messenger = require('../messenger')
     , MessengerMessageSource = require('../messenger/msngr_source')
     , ModelMsgAPI = require('./m_msg_api')
@@ -29,7 +38,9 @@ module.exports = Model;
  * @constructor
  * @param {Object|Array} data optional initial array data. If it is planned to connect model to view it is usually better to instantiate an empty Model (`var m = new Model`), connect it to [Component](../components/c_class.js.html)'s [Data facet](../components/c_facets/Data.js.html) (e.g., `milo.minder(m, '<<->>', c.data);`) and then set the model with `m.set(data)` - the view will be automatically updated.
  * @param {Object} hostObject optional object that hosts model on one of its properties. Can be used when model itself is the context of the message subscriber and you need to travers to this object (although it is possible to set any context). Can also be used to proxy model's methods to the host like [Model facet](../components/c_facets/ModelFacet.js.html) is doing.
- * @param {Object} options pass { reactive: false } to use model without messaging when it is not needed - it makes it much faster
+ * @param {Object} options pass { reactive: false } to use model without messaging when it is not needed - it makes it much faster.
+ *  Pass `schema` to validate values written to the model and `validationMode` ('throw', 'silent' or 'message') to define what happens with invalid values, see [ModelSchema](./schema.js.html).
+ *  Pass `compare: 'deep'` to post messages only for the values that are different when object or array is set (instead of messages for all properties of old and new value); the function `compare(oldValue, newValue)` that returns true for equal values can be passed instead.
  * @return {Model}
  */
 function Model(data, hostObject, options) {
@@ -45,6 +56,13 @@ function Model(data, hostObject, options) {
     model._hostObject = hostObject;
     model._options = options || {};
 
+    var compare = model._options.compare;
+    if (compare && compare != 'deep' && typeof compare != 'function')
+        throw new Error('Model: compare option should be "deep" or function');
+
+    if (model._options.schema)
+        _.defineProperty(model, '_schema', new ModelSchema(model._options.schema, model._options.validationMode));
+
     if (model._options.reactive !== false) {
         model._prepareMessengers();
         // subscribe to "changedata" message to enable reactive connections
@@ -71,12 +89,24 @@ Model.prototype.__proto__ = Model.__proto__;
  * - [pop](./m_path.js.html#ModelPath$pop) - remove item from the end of array (or pseudo-array) in model
  * - [unshift](./m_path.js.html#ModelPath$unshift) - add items to the beginning of array (or pseudo-array) in model
  * - [shift](./m_path.js.html#ModelPath$shift) - remove item from the beginning of array (or pseudo-array) in model
+ * - [applyPatch](./m_path.js.html#ModelPath$applyPatch) - apply the list of changes (e.g., returned by `Model.diff`) using model accessors
+ * - [toJSONPatch](./m_path.js.html#ModelPath$toJSONPatch) - convert "datachanges" batch to JSON Patch operations
+ * - [applyJSONPatch](./m_path.js.html#ModelPath$applyJSONPatch) - apply JSON Patch operations atomically
+ * - [toJSON](./m_path.js.html#ModelPath$toJSON) - returns JSON-compatible data with values of special types encoded
+ * - [snapshot](./snapshot.js.html#Model$snapshot) - returns frozen copy of model data sharing unchanged subtrees with the previous snapshot
+ * - [restore](./snapshot.js.html#Model$restore) - changes model data to match snapshot posting messages only for changed paths
+ * - [batch](#Model$batch) - executes function posting all changes made by it in one "datachanges" message
+ * - [computed](#Model$computed) - adds computed property that is recomputed when its dependencies change
+ * - [removeComputed](#Model$removeComputed) - removes computed property
  * - [proxyMessenger](#proxyMessenger) - proxy model's Messenger methods to host object
  * - [proxyMethods](#proxyMethods) - proxy model methods to host object
  */
 _.extendProto(Model, {
     path: Model$path,
     get: Model$get,
+    batch: Model$batch,
+    computed: Model$computed,
+    removeComputed: Model$removeComputed,
     proxyMessenger: proxyMessenger, // deprecated, should not be used
     proxyMethods: proxyMethods,
     _prepareMessengers: _prepareMessengers,
@@ -87,16 +117,38 @@ _.extendProto(Model, {
 // set, del, splice are added to model
 _.extendProto(Model, synthesize.modelMethods);
 
+// snapshot, restore are added to model
+_.extendProto(Model, snapshotMethods);
+
 
 /**
  * - Path: ModelPath class as `milo.Model.Path`
+ * - History: [ModelHistory](./history.js.html) class as `milo.Model.History`
+ * - Schema: [ModelSchema](./schema.js.html) class as `milo.Model.Schema`
+ * - Computed: [ModelComputed](./computed.js.html) class as `milo.Model.Computed`
+ * - Persistence: [ModelPersistence](./persistence/index.js.html) class with adapters as `milo.Model.Persistence`
+ * - Serialization: [encoding](../util/serialization.js.html) of values of special types and the registry of types as `milo.Model.Serialization`
+ * - [fromJSON](#Model$$fromJSON) - creates model from data returned by `toJSON`
+ * - [persist](#Model$$persist) - loads model data from persistence adapter and saves model changes to it
+ * - [diff](./data_diff.js.html#diff) - returns the list of changes between two data trees in the format of "datachanges" message
+ * - JSONPatch: [conversion](./json_patch.js.html) between model changes and JSON Patch operations as `milo.Model.JSONPatch`
  */
 _.extend(Model, {
     Path: ModelPath,
+    History: ModelHistory,
+    Schema: ModelSchema,
+    Computed: ModelComputed,
+    Persistence: ModelPersistence,
+    persist: Model$$persist,
+    Serialization: serialization,
+    fromJSON: Model$$fromJSON,
+    diff: dataDiff.diff,
+    JSONPatch: jsonPatch,
     useWith: Model$$useWith,
     _utils: {
         path: pathUtils,
         model: modelUtils,
+        diff: dataDiff,
         changeDataHandler: changeDataHandler
     }
 });
@@ -112,7 +164,7 @@ Messenger.useWith(Model, MESSENGER_PROPERTY, Messenger.defaultMethods);
 /**
  * ModelPath methods added to Model prototype
  */
-['len', 'push', 'pop', 'unshift', 'shift'].forEach(function(methodName) {
+['len', 'push', 'pop', 'unshift', 'shift', 'applyPatch', 'toJSONPatch', 'applyJSONPatch', 'toJSON'].forEach(function(methodName) {
     var method = ModelPath.prototype[methodName];
     _.defineProperty(Model.prototype, methodName, method);
 });
@@ -129,6 +181,65 @@ function Model$get() {
 }
 
 
+/**
+ * Model instance method.
+ * Executes function and posts all changes made by model accessors inside it in one "datachanges" message (and one message for each changed path) after it returns, see [ModelBatch](./batch.js.html).
+ * Repeated changes of the same path are collapsed into one change with the first `oldValue` and the last `newValue`.
+ * Nested batches are merged into the outer batch.
+ *
+ * @param {Function} fn function that changes model
+ * @param {Any} context optional context of the function, model by default
+ * @return {Any} the value returned by the function
+ */
+function Model$batch(fn, context) {
+    check(fn, Function);
+    context = context || this;
+
+    if (this._batch || this._options.reactive === false)
+        return fn.call(context);
+
+    var batch = this._batch = new ModelBatch(this);
+    try {
+        return fn.call(context);
+    } finally {
+        this._batch = undefined;
+        batch.post();
+    }
+}
+
+
+/**
+ * Model instance method.
+ * Adds computed property that is written to `path` when any of `dependencies` changes, see [ModelComputed](./computed.js.html).
+ * Computed paths can't be changed with model accessors, circular dependencies between computed properties throw an error.
+ *
+ * @param {String} path access path of computed property
+ * @param {Array[String]} dependencies access paths that the property depends on, can have "*" segments
+ * @param {Function} fn function that is called with the values of dependencies and returns the value of the property
+ * @param {Object} options optional, pass `{ lazy: true }` to recompute the value asynchronously once after dependencies change
+ */
+function Model$computed(path, dependencies, fn, options) {
+    if (this._options.reactive === false)
+        throw new Error('Model computed: model should be reactive');
+
+    if (! this._computed)
+        _.defineProperty(this, '_computed', new ModelComputed(this));
+    this._computed.add(path, dependencies, fn, options);
+}
+
+
+/**
+ * Model instance method.
+ * Removes computed property, its current value stays in the model.
+ *
+ * @param {String} path access path of computed property
+ */
+function Model$removeComputed(path) {
+    if (this._computed)
+        this._computed.remove(path);
+}
+
+
 /**
  * Model instance method.
  * Returns ModelPath object that implements the same API as model but allows access to any point inside model as defined by `accessPath`.
@@ -153,6 +264,36 @@ function Model$path(accessPath) {  // , ... arguments that will be interpolated
 }
 
 
+/**
+ * Model class method.
+ * Loads model data from persistence adapter and saves model changes to it, see [ModelPersistence](./persistence/index.js.html).
+ *
+ * @param {Model} model model to persist
+ * @param {Object} adapter object implementing `load` and `save` methods
+ * @param {Object} options optional object with properties `paths` (array of paths to persist, can have "*" segments) and `debounce` (milliseconds to wait before saving)
+ * @param {Function} callback optional callback called with `(err)` after data is loaded
+ * @return {ModelPersistence}
+ */
+function Model$$persist(model, adapter, options, callback) {
+    return new ModelPersistence(model, adapter, options, callback);
+}
+
+
+/**
+ * Model class method.
+ * Creates model from data returned by `toJSON` method (or from JSON string) reviving values of special types, see [Serialization](../util/serialization.js.html).
+ *
+ * @param {String|Any} json JSON string or encoded data
+ * @param {Object} options optional object with properties `types` (map of additional types used only in this call), `hostObject` and `modelOptions` (passed to Model constructor)
+ * @return {Model}
+ */
+function Model$$fromJSON(json, options) {
+    options = options || {};
+    var data = serialization.decode(json, options);
+    return new Model(data, options.hostObject, options.modelOptions);
+}
+
+
 /**
  * Model instance method.
  * Proxy model's Messenger methods to host object.
@@ -221,6 +362,7 @@ function _getHostObject() {
 
 
 function Model$destroy() {
+    if (this._computed) this._computed.destroy();
     this[MESSENGER_PROPERTY].destroy();
     this._internalMessenger.destroy();
     this._destroyed = true;
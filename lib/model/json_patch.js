@@ -0,0 +1,263 @@
+'use strict';
+
+
+var pathUtils = require('./path_utils')
+    , modelUtils = require('./model_utils')
+    , dataDiff = require('./data_diff')
+    , _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+/**
+ * `milo.Model.JSONPatch`
+ * Conversion between changes posted by [Model](./index.js.html) in "datachanges" message and [JSON Patch (RFC 6902)](https://tools.ietf.org/html/rfc6902) operations.
+ *
+ * - [pathToPointer](#pathToPointer) - converts model access path to JSON pointer
+ * - [pointerToPath](#pointerToPath) - converts JSON pointer to model access path
+ * - [fromChanges](#fromChanges) - converts the list of model changes to JSON Patch operations
+ * - [applyToData](#applyToData) - applies JSON Patch operations to the copy of data
+ * - [toChanges](#toChanges) - converts JSON Patch operations to the list of model changes for given data
+ */
+var jsonPatch = {
+    pathToPointer: pathToPointer,
+    pointerToPath: pointerToPath,
+    fromChanges: fromChanges,
+    applyToData: applyToData,
+    toChanges: toChanges
+};
+
+module.exports = jsonPatch;
+
+
+var OPERATION_PATTERN = {
+    op: String,
+    path: String,
+    value: Match.Optional(Match.Any),
+    from: Match.Optional(String)
+};
+
+
+/**
+ * Converts model access path (e.g. `'.list[1].name'`) to JSON pointer (`'/list/1/name'`)
+ *
+ * @param {String} path model access path
+ * @return {String}
+ */
+function pathToPointer(path) {
+    return pathUtils.parseAccessPath(path).map(function(pathNode) {
+        if (pathNode.interpolate)
+            throw new Error('JSON Patch: interpolated path can\'t be converted to pointer: ' + path);
+        return '/' + escapeToken(pathUtils.getPathNodeKey(pathNode));
+    }).join('');
+}
+
+
+/**
+ * Converts JSON pointer (e.g. `'/list/1/name'`) to model access path (`'.list[1].name'`).
+ * Numeric tokens are converted to array indices.
+ *
+ * @param {String} pointer JSON pointer
+ * @return {String}
+ */
+function pointerToPath(pointer) {
+    var path = parsePointer(pointer).map(function(token) {
+        return /^[0-9]+$/.test(token)
+                ? '[' + token + ']'
+                : '.' + token;
+    }).join('');
+
+    // throws if the path is invalid
+    pathUtils.parseAccessPath(path);
+    return path;
+}
+
+
+/**
+ * Converts the list of changes (from "datachanges" message or returned by `Model.diff`) to JSON Patch operations.
+ * Changes of subproperties of set/deleted properties and of items of spliced arrays are ignored.
+ * Values are copied so that operations are not affected by future changes of model.
+ *
+ * @param {Array[Object]} changes list of changes
+ * @return {Array[Object]}
+ */
+function fromChanges(changes) {
+    var operations = [];
+
+    dataDiff.filterChanges(changes).forEach(function(change) {
+        var pointer = pathToPointer(change.path);
+        switch (change.type) {
+            case 'added':
+                return addOperation('add', pointer, change.newValue);
+            case 'changed':
+                return addOperation('replace', pointer, change.newValue);
+            case 'deleted':
+            case 'removed':
+                return addOperation('remove', pointer);
+            case 'splice':
+                var index = change.index;
+                change.removed.forEach(function() {
+                    addOperation('remove', pointer + '/' + index);
+                });
+                change.newValue.slice(index, index + change.addedCount).forEach(function(item, i) {
+                    addOperation('add', pointer + '/' + (index + i), item);
+                });
+        }
+    });
+
+    return operations;
+
+
+    function addOperation(op, pointer, value) {
+        var operation = { op: op, path: pointer };
+        if (arguments.length > 2)
+            operation.value = modelUtils.cloneTree(value);
+        operations.push(operation);
+    }
+}
+
+
+/**
+ * Applies JSON Patch operations to the copy of data and returns the changed copy.
+ * Throws an error if any operation fails (including 'test' operation), the passed data is never changed.
+ *
+ * @param {Any} data data to apply operations to
+ * @param {Array[Object]} operations JSON Patch operations
+ * @return {Any}
+ */
+function applyToData(data, operations) {
+    check(operations, [OPERATION_PATTERN]);
+
+    var doc = { root: modelUtils.cloneTree(data) };
+    operations.forEach(applyOperation);
+    return doc.root;
+
+
+    function applyOperation(operation) {
+        var path = operation.path;
+        switch (operation.op) {
+            case 'add':
+                return addValue(path, modelUtils.cloneTree(operation.value));
+            case 'remove':
+                return removeValue(path);
+            case 'replace':
+                removeValue(path);
+                return addValue(path, modelUtils.cloneTree(operation.value));
+            case 'move':
+                if (path.indexOf(operation.from + '/') == 0)
+                    throw new Error('JSON Patch: can\'t move value inside itself: ' + operation.from + ' to ' + path);
+                return addValue(path, removeValue(operation.from));
+            case 'copy':
+                return addValue(path, modelUtils.cloneTree(getValue(operation.from)));
+            case 'test':
+                if (! _.isEqual(getValue(path), operation.value))
+                    throw new Error('JSON Patch: test failed: ' + path);
+                return;
+            default:
+                throw new Error('JSON Patch: unknown operation: ' + operation.op);
+        }
+    }
+
+
+    function getValue(pointer) {
+        var target = getTarget(pointer);
+        if (! hasKey(target.parent, target.key))
+            throw new Error('JSON Patch: value does not exist: ' + pointer);
+        return target.parent[target.key];
+    }
+
+
+    function addValue(pointer, value) {
+        var target = getTarget(pointer)
+            , parent = target.parent
+            , key = target.key;
+
+        if (Array.isArray(parent)) {
+            var index = key == '-' ? parent.length : toArrayIndex(key, pointer);
+            if (index > parent.length)
+                throw new Error('JSON Patch: array index is out of bounds: ' + pointer);
+            parent.splice(index, 0, value);
+        } else
+            parent[key] = value;
+    }
+
+
+    function removeValue(pointer) {
+        var target = getTarget(pointer)
+            , parent = target.parent
+            , key = target.key;
+
+        if (! hasKey(parent, key))
+            throw new Error('JSON Patch: value does not exist: ' + pointer);
+
+        var value = parent[key];
+        if (Array.isArray(parent))
+            parent.splice(key, 1);
+        else
+            delete parent[key];
+        return value;
+    }
+
+
+    function getTarget(pointer) {
+        var tokens = parsePointer(pointer)
+            , parent = doc
+            , key = 'root';
+
+        tokens.forEach(function(token) {
+            parent = parent[key];
+            if (! modelUtils.valueIsNormalObject(parent))
+                throw new Error('JSON Patch: path does not exist: ' + pointer);
+            key = token;
+        });
+
+        return { parent: parent, key: key };
+    }
+
+
+    function hasKey(parent, key) {
+        return Array.isArray(parent)
+                ? /^[0-9]+$/.test(key) && key < parent.length
+                : parent.hasOwnProperty(key);
+    }
+}
+
+
+/**
+ * Converts JSON Patch operations to the list of changes in the format of "datachanges" message that would change `data` in the same way as operations.
+ * Throws an error if any operation fails.
+ *
+ * @param {Any} data data to apply operations to
+ * @param {Array[Object]} operations JSON Patch operations
+ * @return {Array[Object]}
+ */
+function toChanges(data, operations) {
+    return dataDiff.diff(data, applyToData(data, operations));
+}
+
+
+function parsePointer(pointer) {
+    check(pointer, String);
+    if (pointer === '') return [];
+    if (pointer[0] != '/')
+        throw new Error('JSON Patch: invalid pointer: ' + pointer);
+
+    return pointer.slice(1).split('/').map(unescapeToken);
+}
+
+
+function toArrayIndex(token, pointer) {
+    if (! /^(0|[1-9][0-9]*)$/.test(token))
+        throw new Error('JSON Patch: invalid array index: ' + pointer);
+    return +token;
+}
+
+
+function escapeToken(token) {
+    return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+
+function unescapeToken(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
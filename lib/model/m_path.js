@@ -3,6 +3,9 @@
 var synthesize = require('./synthesize')
     , pathUtils = require('./path_utils')
     , changeDataHandler = require('./change_data')
+    , dataDiff = require('./data_diff')
+    , jsonPatch = require('./json_patch')
+    , serialization = require('../util/serialization')
     , Messenger = require('../messenger')
     , ModelPathMsgAPI = require('./path_msg_api')
     , MessengerMessageSource = require('../messenger/msngr_source')
@@ -107,6 +110,11 @@ function interpolateAccessPath(parsedPath, args) {
  * - [pop](#ModelPath$pop) - remove item from the end of array (or pseudo-array) in ModelPath
  * - [unshift](#ModelPath$unshift) - add items to the beginning of array (or pseudo-array) in ModelPath
  * - [shift](#ModelPath$shift) - remove item from the beginning of array (or pseudo-array) in ModelPath
+ * - [applyPatch](#ModelPath$applyPatch) - apply the list of changes using accessors
+ * - [toJSONPatch](#ModelPath$toJSONPatch) - convert "datachanges" batch to JSON Patch operations
+ * - [applyJSONPatch](#ModelPath$applyJSONPatch) - apply JSON Patch operations atomically
+ * - [toJSON](#ModelPath$toJSON) - returns JSON-compatible data with values of special types encoded
+ * - [batch](#ModelPath$batch) - execute function posting all changes of model made by it in one "datachanges" message
  */
 _.extendProto(ModelPath, {
     path: ModelPath$path,
@@ -115,6 +123,11 @@ _.extendProto(ModelPath, {
     pop: ModelPath$pop,
     unshift: ModelPath$unshift,
     shift: ModelPath$shift,
+    applyPatch: ModelPath$applyPatch,
+    toJSONPatch: ModelPath$toJSONPatch,
+    applyJSONPatch: ModelPath$applyJSONPatch,
+    batch: ModelPath$batch,
+    toJSON: ModelPath$toJSON,
     _prepareMessenger: _prepareMessenger,
     _getDefinition: _getDefinition,
     destroy: ModelPath$destroy
@@ -237,6 +250,82 @@ function ModelPath$shift() { // arguments
 }
 
 
+/**
+ * ModelPath and Model instance method
+ * Applies the list of changes in the format of "datachanges" message (or returned by `Model.diff`) using synthesized accessors, so all messages are posted as if the changes were made by calling them directly.
+ * All changes are posted in one transaction. Paths of changes are relative to ModelPath.
+ * Changes of subproperties of set/deleted properties and of items of spliced arrays are ignored, so the whole "datachanges" batch can be applied.
+ *
+ * @param {Array[Object]} changes list of changes with properties `path`, `type`, `oldValue`, `newValue` (and `index`, `removed`, `addedCount` for 'splice' type)
+ */
+function ModelPath$applyPatch(changes) {
+    check(changes, [Match.ObjectIncluding({ path: String, type: String })]);
+    dataDiff.applyChanges(this, changes);
+}
+
+
+/**
+ * ModelPath and Model instance method
+ * Converts "datachanges" batch (or the list of changes) to [JSON Patch](./json_patch.js.html) operations with pointers relative to ModelPath.
+ * Usage:
+ * ```
+ * m.on('datachanges', function(msg, batch) {
+ *     sendToServer(m.toJSONPatch(batch));
+ * });
+ * ```
+ *
+ * @param {Object|Array[Object]} batch "datachanges" message data or the list of changes
+ * @return {Array[Object]}
+ */
+function ModelPath$toJSONPatch(batch) {
+    var changes = Array.isArray(batch) ? batch : batch.changes;
+    return jsonPatch.fromChanges(changes);
+}
+
+
+/**
+ * ModelPath and Model instance method
+ * Applies [JSON Patch](./json_patch.js.html) operations with pointers relative to ModelPath.
+ * Operations are applied to the copy of data first, so if any operation fails (including 'test') the error is thrown and model is not changed.
+ * Otherwise the changes are applied with accessors in one transaction, messages are posted only for changed paths.
+ *
+ * @param {Array[Object]} operations JSON Patch operations
+ */
+function ModelPath$applyJSONPatch(operations) {
+    var changes = jsonPatch.toChanges(this.get(), operations);
+    if (changes.length)
+        dataDiff.applyChanges(this, changes);
+}
+
+
+/**
+ * ModelPath and Model instance method
+ * Returns JSON-compatible copy of data with values of special types (Date, RegExp, Map, Set and registered types) encoded, see [Serialization](../util/serialization.js.html).
+ * The result can be passed to `JSON.stringify` and then to `Model.fromJSON` to create model with the same data.
+ * As this method is called by `JSON.stringify`, `JSON.stringify(m)` returns the same string as `JSON.stringify(m.toJSON())`.
+ *
+ * @param {Object} options optional object with property `types` - map of additional types used only in this call
+ * @return {Any}
+ */
+function ModelPath$toJSON(options) {
+    // JSON.stringify passes property key
+    if (typeof options == 'string') options = undefined;
+    return serialization.encode(this.get(), options);
+}
+
+
+/**
+ * ModelPath instance method
+ * Executes function with ModelPath as context posting all changes of model made inside it in one "datachanges" message, see [Model batch](./index.js.html#Model$batch).
+ *
+ * @param {Function} fn function that changes model
+ * @return {Any} the value returned by the function
+ */
+function ModelPath$batch(fn) {
+    return this._model.batch(fn, this);
+}
+
+
 /**
  * ModelPath instance method
  * Initializes ModelPath mesenger with Model's messenger as its source ([MessengerMessageSource](../messenger/msngr_source.js.html)) and [ModelPathMsgAPI](./path_msg_api.js.html) as [MessengerAPI](../messenger/m_api.js.html)
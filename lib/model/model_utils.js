@@ -1,8 +1,17 @@
 'use strict';
 
 
+var pathUtils = require('./path_utils')
+    , serialization = require('../util/serialization')
+    , _ = require('protojs');
+
+
 var modelUtils = {
-    normalizeSpliceIndex: normalizeSpliceIndex
+    normalizeSpliceIndex: normalizeSpliceIndex,
+    cloneTree: cloneTree,
+    valueIsTree: valueIsTree,
+    valueIsNormalObject: valueIsNormalObject,
+    setTreeValue: setTreeValue
 };
 
 module.exports = modelUtils;
@@ -17,3 +26,83 @@ function normalizeSpliceIndex(spliceIndex, length) {
                     ? spliceIndex + length
                     : 0;
 }
+
+
+/**
+ * Deep clones objects and arrays, other values (including leaf values inside the tree) are returned as is
+ *
+ * @param {Any} value
+ * @return {Any}
+ */
+function cloneTree(value) {
+    if (! valueIsNormalObject(value)) return value;
+    if (Array.isArray(value)) return value.map(cloneTree);
+
+    var clone = {};
+    _.eachKey(value, function(item, key) {
+        clone[key] = cloneTree(item);
+    });
+    return clone;
+}
+
+
+function valueIsTree(value) {
+    return valueIsNormalObject(value)
+            && Object.keys(value).length;
+}
+
+
+/**
+ * Returns true for arrays and plain objects that are parts of model tree.
+ * Instances of classes (e.g., Date, Map, Set) and values of types registered with [Serialization](../util/serialization.js.html) are leaf values, they are not cloned or traversed.
+ *
+ * @param {Any} value
+ * @return {Boolean}
+ */
+function valueIsNormalObject(value) {
+    if (value == null || typeof value != "object") return false;
+    if (Array.isArray(value)) return true;
+
+    var proto = Object.getPrototypeOf(value);
+    return (proto === Object.prototype || proto === null)
+            && ! serialization.isRegisteredType(value);
+}
+
+
+/**
+ * Sets (or deletes) value at access path inside the tree creating missing objects and arrays on the way.
+ * Returns the tree (or value itself if the path is empty).
+ *
+ * @param {Object|Array} tree tree to change
+ * @param {String} path access path inside the tree
+ * @param {Any} value value to set
+ * @param {Boolean} remove optional true to delete the value at path
+ * @return {Any}
+ */
+function setTreeValue(tree, path, value, remove) {
+    var parsedPath = pathUtils.parseAccessPath(path)
+        , lastIndex = parsedPath.length - 1;
+
+    if (! parsedPath.length) return value;
+
+    tree = valueIsNormalObject(tree)
+            ? tree
+            : parsedPath[0].syntax == 'array' ? [] : {};
+
+    parsedPath.reduce(function(parent, pathNode, index) {
+        var key = pathUtils.getPathNodeKey(pathNode);
+
+        if (index < lastIndex) {
+            if (! valueIsNormalObject(parent[key]))
+                parent[key] = parsedPath[index + 1].syntax == 'array' ? [] : {};
+            return parent[key];
+        }
+
+        if (remove)
+            delete parent[key];
+        else
+            parent[key] = value;
+    }, tree);
+
+    return tree;
+}
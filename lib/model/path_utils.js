@@ -9,15 +9,18 @@ var check = require('ml-check')
 
 var pathUtils = {
     parseAccessPath: parseAccessPath,
+    parsePathPattern: parsePathPattern,
     createRegexPath: createRegexPath,
     getPathNodeKey: getPathNodeKey,
+    isSubPath: isSubPath,
     wrapMessengerMethods: wrapMessengerMethods
 };
 
 module.exports = pathUtils;
 
 
-var propertyPathSyntax = '\\.[A-Za-z_-][A-Za-z0-9_-]*'
+var propertySyntax = '[A-Za-z_-][A-Za-z0-9_-]*'
+    , propertyPathSyntax = '\\.' + propertySyntax
     , arrayPathSyntax = '\\[[0-9]+\\]'
     , interpolationSyntax = '\\$[1-9][0-9]*'
     , propertyInterpolateSyntax = '\\.' + interpolationSyntax
@@ -50,6 +53,11 @@ var propertyPathSyntax = '\\.[A-Za-z_-][A-Za-z0-9_-]*'
         '*': { syntax: 'match', empty: '{}'},
     };
 
+
+// property names that can be used in paths
+pathUtils.validPropertyPattern = new RegExp('^' + propertySyntax + '$');
+
+
 function parseAccessPath(path, nodeParsePattern) {
     nodeParsePattern = nodeParsePattern || pathParsePattern;
 
@@ -74,19 +82,38 @@ function parseAccessPath(path, nodeParsePattern) {
 }
 
 
+/**
+ * Parses access path that can contain "*" segments (e.g., subscription path)
+ *
+ * @param {String} path access path pattern
+ * @return {Array[Object]}
+ */
+function parsePathPattern(path) {
+    return parseAccessPath(path, patternPathParsePattern);
+}
+
+
 var nodeRegex = {
     '.*': propertyPathSyntax,
     '[*]': arrayPathSyntax
 };
 nodeRegex['*'] = nodeRegex['.*'] + '|' + nodeRegex['[*]'];
 
-function createRegexPath(path) {
+/**
+ * Converts access path with "*" segments to RegExp, paths without stars are returned unchanged.
+ * By default "*" segments are optional (e.g., `'.list[*]'` matches both `'.list'` and `'.list[1]'`), as used in subscriptions to some depth.
+ *
+ * @param {String|RegExp} path access path
+ * @param {Boolean} exact optional true to make "*" segments required (`'.list[*]'` will only match items of `'.list'`)
+ * @return {String|RegExp}
+ */
+function createRegexPath(path, exact) {
     check(path, Match.OneOf(String, RegExp));
 
     if (path instanceof RegExp || path.indexOf('*') == -1)
         return path;
 
-    var parsedPath = pathUtils.parseAccessPath(path, patternPathParsePattern)
+    var parsedPath = parsePathPattern(path)
         , regexStr = '^'
         // , regexStrEnd = ''
         , patternsStarted = false;
@@ -98,7 +125,7 @@ function createRegexPath(path) {
         if (regex) {
             // regexStr += '(' + regex;
             // regexStrEnd += '|)';
-            regexStr += '(' + regex + '|)';
+            regexStr += '(' + regex + (exact ? ')' : '|)');
             // regexStrEnd += '|)';
             patternsStarted = true;
         } else {
@@ -127,6 +154,22 @@ function getPathNodeKey(pathNode, interpolated) {
 }
 
 
+/**
+ * Returns true if `path` is the same as `parentPath` or is the path inside it
+ *
+ * @param {String} path access path
+ * @param {String} parentPath access path
+ * @param {Boolean} strict optional true to return false for the same paths
+ * @return {Boolean}
+ */
+function isSubPath(path, parentPath, strict) {
+    var nextChar = path[parentPath.length];
+    return path.indexOf(parentPath) == 0
+            && (nextChar == '.' || nextChar == '['
+                || (! strict && nextChar === undefined));
+}
+
+
 // TODO allow for multiple messages in a string
 function wrapMessengerMethods(methodsNames) {
     methodsNames = methodsNames || ['on', 'off'];
@@ -0,0 +1,101 @@
+'use strict';
+
+var _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+module.exports = FileAdapter;
+
+
+/**
+ * `milo.Model.Persistence.FileAdapter`
+ * Persistence adapter that stores data in JSON file, can only be used in node.
+ * Node `fs` module is required when the file is read or written, so the adapter can be included in browser bundles.
+ * Writes to the file are serialized: if data is saved while the previous write is in progress, only the last data is written after it finishes.
+ *
+ * @constructor
+ * @param {String} filePath path to JSON file
+ * @param {Object} options optional object with property `indent` - indentation passed to `JSON.stringify`
+ * @return {FileAdapter}
+ */
+function FileAdapter(filePath, options) {
+    check(filePath, String);
+    check(options, Match.Optional({ indent: Match.Optional(Match.OneOf(Number, String)) }));
+
+    this.filePath = filePath;
+    this.indent = options && options.indent;
+    this._writing = false;
+    this._pendingWrite = undefined;
+}
+
+
+_.extendProto(FileAdapter, {
+    load: FileAdapter$load,
+    save: FileAdapter$save,
+    _write: _write
+});
+
+
+/**
+ * FileAdapter instance method
+ * Reads and parses JSON file, calls callback with `undefined` data if the file does not exist
+ *
+ * @param {Function} callback
+ */
+function FileAdapter$load(callback) {
+    getFs().readFile(this.filePath, 'utf8', function(err, json) {
+        if (err)
+            return err.code == 'ENOENT' ? callback(null) : callback(err);
+        try {
+            var data = JSON.parse(json);
+        } catch (e) {
+            return callback(e);
+        }
+        callback(null, data);
+    });
+}
+
+
+/**
+ * FileAdapter instance method
+ * Writes data to JSON file
+ *
+ * @param {Any} data
+ * @param {Function} callback
+ */
+function FileAdapter$save(data, callback) {
+    var json = JSON.stringify(data, null, this.indent);
+    if (json === undefined) json = 'null';
+
+    if (this._writing) {
+        var pending = this._pendingWrite;
+        if (pending) {
+            pending.json = json;
+            pending.callbacks.push(callback);
+        } else
+            this._pendingWrite = { json: json, callbacks: [callback] };
+    } else
+        this._write(json, [callback]);
+}
+
+
+function _write(json, callbacks) {
+    var self = this;
+    this._writing = true;
+    getFs().writeFile(this.filePath, json, 'utf8', function(err) {
+        self._writing = false;
+        var pending = self._pendingWrite;
+        self._pendingWrite = undefined;
+        if (pending) self._write(pending.json, pending.callbacks);
+
+        callbacks.forEach(function(callback) {
+            callback(err || null);
+        });
+    });
+}
+
+
+function getFs() {
+    return require('fs');
+}
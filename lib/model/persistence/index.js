@@ -0,0 +1,366 @@
+'use strict';
+
+var Messenger = require('../../messenger')
+    , Scheduler = require('../../messenger/scheduler')
+    , pathUtils = require('../path_utils')
+    , modelUtils = require('../model_utils')
+    , serialization = require('../../util/serialization')
+    , MemoryAdapter = require('./memory_adapter')
+    , KeyValueAdapter = require('./key_value_adapter')
+    , FileAdapter = require('./file_adapter')
+    , logger = require('../../util/logger')
+    , _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+module.exports = ModelPersistence;
+
+
+/**
+ * `milo.Model.Persistence`
+ * Loads [Model](../index.js.html) data from the adapter and saves model data to it when the model changes.
+ * Usually created with `Model.persist(model, adapter, options, callback)`.
+ *
+ * Adapter is any object that implements two methods:
+ *
+ * - `load(callback)` - should call `callback(err, data)` with loaded data (`undefined` if nothing was saved yet)
+ * - `save(data, callback)` - should save data and call `callback(err)`
+ *
+ * The adapters included:
+ *
+ * - [MemoryAdapter](./memory_adapter.js.html) - keeps data in memory, can be used in tests
+ * - [KeyValueAdapter](./key_value_adapter.js.html) - stores JSON in key/value storage with `localStorage` interface (`getItem`, `setItem`)
+ * - [FileAdapter](./file_adapter.js.html) - stores JSON in file (only in node)
+ *
+ * By default data is saved when the model posts "datachanges" message that is not a part of transaction (i.e. once per transaction or batch).
+ * If `debounce` option is passed, data is saved when there were no changes for `debounce` milliseconds (the delay is measured with the default [Scheduler](../../messenger/scheduler.js.html)).
+ * If `paths` option is passed, only the values at these paths are saved and loaded. Paths can have "*" segments (e.g., `'.items[*].id'`).
+ * If `serialize` option is `true`, values of special types (Date, RegExp, etc.) are encoded before saving and revived after loading, see [Serialization](../../util/serialization.js.html).
+ *
+ * ####Events####
+ *
+ * - 'loaded' - data was loaded and set on the model, message data is `{ data: loadedData }`
+ * - 'saved' - data was saved, message data is `{ data: savedData }`
+ * - 'error' - adapter returned error, message data is `{ operation: 'load' or 'save', error: error }`
+ *
+ * Usage:
+ * ```
+ * var persistence = Model.persist(m, new Model.Persistence.FileAdapter('./data.json'), {
+ *     paths: ['.settings', '.items[*].id'],
+ *     debounce: 100
+ * }, function(err) {
+ *     // model data is loaded
+ * });
+ * ```
+ *
+ * @constructor
+ * @param {Model} model model to persist
+ * @param {Object} adapter object implementing `load` and `save` methods
+ * @param {Object} options optional object with properties `paths` (array of paths to persist), `debounce` (milliseconds to wait before saving) and `serialize`
+ * @param {Function} callback optional callback called with `(err)` after data is loaded and set on the model
+ * @return {ModelPersistence}
+ */
+function ModelPersistence(model, adapter, options, callback) {
+    if (typeof options == 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    check(model, Function);
+    check(adapter, Match.Where(isAdapter));
+    check(options, Match.Optional({
+        paths: Match.Optional([String]),
+        debounce: Match.Optional(Number),
+        serialize: Match.Optional(Boolean)
+    }));
+    check(callback, Match.Optional(Function));
+
+    options = options || {};
+
+    _.extend(this, {
+        model: model,
+        adapter: adapter,
+        paths: options.paths,
+        debounce: options.debounce,
+        serialize: !! options.serialize,
+        _parsedPaths: options.paths && options.paths.map(pathUtils.parsePathPattern),
+        _changed: false,
+        _loading: false,
+        _saveTimer: undefined,
+        _messenger: new Messenger(this, Messenger.defaultMethods)
+    });
+
+    _.defineProperty(this, '_onDataChanges', onDataChanges.bind(this));
+    model.onSync('datachanges', this._onDataChanges);
+
+    this.load(callback);
+}
+
+
+/**
+ * ####ModelPersistence instance methods####
+ *
+ * - [load](#ModelPersistence$load) - loads data from adapter and sets it on the model
+ * - [save](#ModelPersistence$save) - saves model data to adapter
+ * - [flush](#ModelPersistence$flush) - saves data immediately if it is waiting to be saved
+ * - [getData](#ModelPersistence$getData) - returns model data that should be persisted
+ * - [destroy](#ModelPersistence$destroy) - stops saving model changes
+ */
+_.extendProto(ModelPersistence, {
+    load: ModelPersistence$load,
+    save: ModelPersistence$save,
+    flush: ModelPersistence$flush,
+    getData: ModelPersistence$getData,
+    destroy: ModelPersistence$destroy,
+    _isPersistedPath: _isPersistedPath,
+    _scheduleSave: _scheduleSave,
+    _handleError: _handleError
+});
+
+
+_.extend(ModelPersistence, {
+    MemoryAdapter: MemoryAdapter,
+    KeyValueAdapter: KeyValueAdapter,
+    FileAdapter: FileAdapter
+});
+
+
+/**
+ * Subscriber to "datachanges" message of the model.
+ * Saves data (or schedules saving) at the end of transaction if persisted paths were changed.
+ *
+ * @private
+ * @param {String} msg "datachanges"
+ * @param {Object} batch batch of changes with properties `changes` and `transaction`
+ */
+function onDataChanges(msg, batch) {
+    if (this._loading) return;
+
+    this._changed = this._changed || batch.changes.some(function(change) {
+        return this._isPersistedPath(change.path);
+    }, this);
+
+    if (this._changed && ! batch.transaction)
+        this._scheduleSave();
+}
+
+
+/**
+ * ModelPersistence instance method
+ * Loads data from adapter and sets it on the model in one batch (changes made while loading are not saved).
+ * If `paths` option was passed, only values at these paths are set.
+ *
+ * @param {Function} callback optional callback called with `(err)`
+ */
+function ModelPersistence$load(callback) {
+    var self = this;
+    this.adapter.load(function(err, data) {
+        if (err) return self._handleError('load', err, callback);
+        if (self._destroyed) return callback && callback();
+
+        if (self.serialize) {
+            try {
+                data = serialization.decode(data);
+            } catch (e) {
+                return self._handleError('load', e, callback);
+            }
+        }
+
+        self._loading = true;
+        try {
+            if (data !== undefined)
+                self.model.batch(setData);
+        } finally {
+            self._loading = false;
+        }
+
+        self.postMessage('loaded', { data: data });
+        callback && callback();
+
+
+        function setData() {
+            if (self._parsedPaths)
+                getPathsValues(data, self._parsedPaths).forEach(function(pathValue) {
+                    self.model(pathValue.path).set(pathValue.value);
+                });
+            else
+                self.model.set(data);
+        }
+    });
+}
+
+
+/**
+ * ModelPersistence instance method
+ * Saves model data (or the values at `paths`) to adapter.
+ *
+ * @param {Function} callback optional callback called with `(err)`
+ */
+function ModelPersistence$save(callback) {
+    if (this._saveTimer) {
+        this._saveTimer.cancel();
+        this._saveTimer = undefined;
+    }
+    this._changed = false;
+
+    var data = this.getData()
+        , self = this;
+
+    this.adapter.save(data, function(err) {
+        if (err) return self._handleError('save', err, callback);
+        self.postMessage('saved', { data: data });
+        callback && callback();
+    });
+}
+
+
+/**
+ * ModelPersistence instance method
+ * Saves data immediately if it is waiting to be saved (when `debounce` option is used).
+ *
+ * @param {Function} callback optional callback called with `(err)`, it is called immediately if there is nothing to save
+ */
+function ModelPersistence$flush(callback) {
+    if (this._saveTimer)
+        this.save(callback);
+    else
+        callback && callback();
+}
+
+
+/**
+ * ModelPersistence instance method
+ * Returns the copy of model data that should be persisted (encoded if `serialize` option is used).
+ *
+ * @return {Any}
+ */
+function ModelPersistence$getData() {
+    var data = this.model.get();
+    if (this._parsedPaths)
+        data = getPathsValues(data, this._parsedPaths).reduce(function(tree, pathValue) {
+            return modelUtils.setTreeValue(tree, pathValue.path, pathValue.value);
+        }, undefined);
+
+    return this.serialize
+            ? serialization.encode(data)
+            : modelUtils.cloneTree(data);
+}
+
+
+/**
+ * ModelPersistence instance method
+ * Stops saving model changes, the changes waiting to be saved are not saved (call `flush` before to save them)
+ */
+function ModelPersistence$destroy() {
+    this.model.off('datachanges', this._onDataChanges);
+    if (this._saveTimer) this._saveTimer.cancel();
+    this._saveTimer = undefined;
+    this._messenger.destroy();
+    this._destroyed = true;
+}
+
+
+/**
+ * Returns true if the change of the path can change persisted data, i.e. if the path is persisted or it is inside or contains persisted path
+ *
+ * @private
+ * @param {String} path changed path
+ * @return {Boolean}
+ */
+function _isPersistedPath(path) {
+    if (! this._parsedPaths) return true;
+
+    var parsedPath = pathUtils.parseAccessPath(path);
+    return this._parsedPaths.some(function(parsedPattern) {
+        var length = Math.min(parsedPath.length, parsedPattern.length);
+        for (var i = 0; i < length; i++)
+            if (! pathNodeMatches(parsedPattern[i], parsedPath[i])) return false;
+        return true;
+    });
+}
+
+
+function _scheduleSave() {
+    if (this.debounce === undefined)
+        return this.save();
+
+    if (this._saveTimer) this._saveTimer.cancel();
+    var self = this;
+    this._saveTimer = Scheduler.defer(function() {
+        self._saveTimer = undefined;
+        self.save();
+    }, this.debounce);
+}
+
+
+function _handleError(operation, error, callback) {
+    if (callback)
+        callback(error);
+    else
+        logger.error('ModelPersistence: ' + operation + ' error', error);
+    if (! this._destroyed)
+        this.postMessage('error', { operation: operation, error: error });
+}
+
+
+/**
+ * Returns the list of paths and values in data matching path patterns
+ *
+ * @param {Any} data data tree
+ * @param {Array[Array]} parsedPatterns parsed path patterns
+ * @return {Array[Object]} array of objects `{ path, value }`
+ */
+function getPathsValues(data, parsedPatterns) {
+    var pathsValues = [];
+    parsedPatterns.forEach(function(parsedPattern) {
+        addValues(data, '', parsedPattern, 0);
+    });
+    return pathsValues;
+
+
+    function addValues(value, path, parsedPattern, index) {
+        if (index == parsedPattern.length) {
+            if (value !== undefined)
+                pathsValues.push({ path: path, value: value });
+            return;
+        }
+
+        if (! modelUtils.valueIsNormalObject(value)) return;
+
+        var pathNode = parsedPattern[index]
+            , isArray = Array.isArray(value);
+
+        if (pathNode.syntax == 'match' || pathNode.property == '.*' || pathNode.property == '[*]') {
+            if ((pathNode.property == '.*' && isArray) || (pathNode.property == '[*]' && ! isArray))
+                return;
+
+            Object.keys(value).forEach(function(key) {
+                var keyPath = isArray ? '[' + key + ']' : '.' + key;
+                if (isArray || pathUtils.validPropertyPattern.test(key))
+                    addValues(value[key], path + keyPath, parsedPattern, index + 1);
+            });
+        } else {
+            var key = pathUtils.getPathNodeKey(pathNode);
+            if (value.hasOwnProperty(key))
+                addValues(value[key], path + pathNode.property, parsedPattern, index + 1);
+        }
+    }
+}
+
+
+function isAdapter(adapter) {
+    return adapter != null
+            && typeof adapter.load == 'function'
+            && typeof adapter.save == 'function';
+}
+
+
+function pathNodeMatches(patternNode, pathNode) {
+    switch (patternNode.property) {
+        case '*': return true;
+        case '.*': return pathNode.syntax == 'object';
+        case '[*]': return pathNode.syntax == 'array';
+        default: return patternNode.property == pathNode.property;
+    }
+}
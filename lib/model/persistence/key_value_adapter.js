@@ -0,0 +1,77 @@
+'use strict';
+
+var _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+module.exports = KeyValueAdapter;
+
+
+/**
+ * `milo.Model.Persistence.KeyValueAdapter`
+ * Persistence adapter that stores data as JSON string in key/value storage.
+ * Storage should implement synchronous `getItem(key)` (returning string or `null`) and `setItem(key, value)` methods, as browser `localStorage` and `sessionStorage` do.
+ * Callbacks are called synchronously.
+ *
+ * Usage:
+ * ```
+ * Model.persist(m, new Model.Persistence.KeyValueAdapter(window.localStorage, 'settings'));
+ * ```
+ *
+ * @constructor
+ * @param {Object} storage key/value storage
+ * @param {String} key the key to store data with
+ * @return {KeyValueAdapter}
+ */
+function KeyValueAdapter(storage, key) {
+    check(storage, Match.Where(function(storage) {
+        return storage != null
+                && typeof storage.getItem == 'function'
+                && typeof storage.setItem == 'function';
+    }));
+    check(key, String);
+
+    this.storage = storage;
+    this.key = key;
+}
+
+
+_.extendProto(KeyValueAdapter, {
+    load: KeyValueAdapter$load,
+    save: KeyValueAdapter$save
+});
+
+
+/**
+ * KeyValueAdapter instance method
+ * Calls callback with parsed data from storage, `undefined` if nothing is stored
+ *
+ * @param {Function} callback
+ */
+function KeyValueAdapter$load(callback) {
+    try {
+        var json = this.storage.getItem(this.key)
+            , data = json == null ? undefined : JSON.parse(json);
+    } catch (e) {
+        return callback(e);
+    }
+    callback(null, data);
+}
+
+
+/**
+ * KeyValueAdapter instance method
+ * Stores data as JSON string
+ *
+ * @param {Any} data
+ * @param {Function} callback
+ */
+function KeyValueAdapter$save(data, callback) {
+    try {
+        this.storage.setItem(this.key, JSON.stringify(data));
+    } catch (e) {
+        return callback(e);
+    }
+    callback(null);
+}
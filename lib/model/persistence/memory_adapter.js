@@ -0,0 +1,51 @@
+'use strict';
+
+var modelUtils = require('../model_utils')
+    , _ = require('protojs');
+
+
+module.exports = MemoryAdapter;
+
+
+/**
+ * `milo.Model.Persistence.MemoryAdapter`
+ * Persistence adapter that keeps the copy of data in memory, can be used in tests.
+ * Callbacks are called synchronously.
+ *
+ * @constructor
+ * @param {Any} data optional initial data
+ * @return {MemoryAdapter}
+ */
+function MemoryAdapter(data) {
+    this.data = modelUtils.cloneTree(data);
+}
+
+
+_.extendProto(MemoryAdapter, {
+    load: MemoryAdapter$load,
+    save: MemoryAdapter$save
+});
+
+
+/**
+ * MemoryAdapter instance method
+ * Calls callback with the copy of stored data
+ *
+ * @param {Function} callback
+ */
+function MemoryAdapter$load(callback) {
+    callback(null, modelUtils.cloneTree(this.data));
+}
+
+
+/**
+ * MemoryAdapter instance method
+ * Stores the copy of data
+ *
+ * @param {Any} data
+ * @param {Function} callback
+ */
+function MemoryAdapter$save(data, callback) {
+    this.data = modelUtils.cloneTree(data);
+    callback(null);
+}
@@ -0,0 +1,377 @@
+'use strict';
+
+
+var pathUtils = require('./path_utils')
+    , modelUtils = require('./model_utils')
+    , logger = require('../util/logger')
+    , _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+module.exports = ModelSchema;
+
+
+/**
+ * `milo.Model.Schema`
+ * Validates values written to [Model](./index.js.html) by synthesized `set`, `del` and `splice` methods (and by `push`, `pop`, `unshift`, `shift` that use `splice`).
+ * The instance is created by Model constructor when `schema` option is passed, it should not be created directly.
+ *
+ * Schema can be either:
+ *
+ * - a map of access paths to validators, where paths can have "*" segments (as in subscriptions, but "*" segments are required), e.g. `{ '.name': String, '.items[*].price': Number }`.
+ *   Validator can be [ml-check](https://github.com/milojs/ml-check) pattern (e.g., `String`, `Match.Optional(Number)`, `{ name: String }`) or JSON-Schema object.
+ * - JSON-Schema object describing the whole model data.
+ *
+ * Supported subset of JSON-Schema: `type` (string or array of strings), `enum`, `minimum`, `maximum`, `minLength`, `maxLength`, `pattern`, `minItems`, `maxItems`, `required`, `properties`, `additionalProperties: false` and `items` (schema for all items).
+ * Object is considered to be JSON-Schema if its `type` property is a string or an array of strings.
+ *
+ * When value is set, it is validated with validators for its path and with validators for the paths inside it.
+ * JSON-Schema is split into validators for each property and item schema, the values of all parent paths (from the root of the model) are validated as they will be after the change, so `required` and `additionalProperties` of parent objects are enforced when their properties are set or deleted.
+ * When value is deleted, the parent values are validated and the validators for its path that are not JSON-Schema are called with `undefined` (use `Match.Optional` to allow deleting).
+ *
+ * Depending on `validationMode` model option, invalid value is rejected and:
+ *
+ * - 'throw' - (default) the error is thrown
+ * - 'silent' - nothing else happens
+ * - 'message' - "validationerror" message is posted on the model with data `{ path, value, errors }`
+ *
+ * @constructor
+ * @param {Object} schema schema as described above
+ * @param {String} mode optional validation mode
+ * @return {ModelSchema}
+ */
+function ModelSchema(schema, mode) {
+    check(schema, Object);
+    check(mode, Match.Optional(String));
+
+    mode = mode || 'throw';
+    if (! VALIDATION_MODES[mode])
+        throw new Error('ModelSchema: unknown validation mode ' + mode);
+
+    this.mode = mode;
+    this.rules = [];
+
+    if (isJSONSchema(schema))
+        this._addJSONSchemaRules('', schema);
+    else
+        _.eachKey(schema, function(validator, path) {
+            if (isJSONSchema(validator))
+                this._addJSONSchemaRules(path, validator);
+            else
+                this._addRule(path, matchValidator(validator));
+        }, this);
+}
+
+
+var VALIDATION_MODES = _.object(['throw', 'silent', 'message'], true);
+
+
+/**
+ * ####ModelSchema instance methods####
+ *
+ * - [validateSet](#validateSet) - validates value that is set on the path
+ * - [validateDel](#validateDel) - validates deleting value on the path
+ * - [validateSplice](#validateSplice) - validates array splice on the path
+ */
+_.extendProto(ModelSchema, {
+    validateSet: validateSet,
+    validateDel: validateDel,
+    validateSplice: validateSplice,
+    _addRule: _addRule,
+    _addJSONSchemaRules: _addJSONSchemaRules,
+    _validateValue: _validateValue,
+    _validateTree: _validateTree,
+    _validateParents: _validateParents,
+    _handleErrors: _handleErrors
+});
+
+
+/**
+ * ModelSchema instance method
+ * Validates value that is about to be set on the path. Returns `true` if the value is valid.
+ * Called by synthesized `set` method.
+ *
+ * @param {Model} model model which value is set
+ * @param {String} path access path of the value
+ * @param {Any} value value that is set
+ * @return {Boolean}
+ */
+function validateSet(model, path, value) {
+    var errors = [];
+    this._validateParents(model, path, value, false, errors);
+    this._validateTree(path, value, errors);
+    return this._handleErrors(model, path, value, errors);
+}
+
+
+/**
+ * ModelSchema instance method
+ * Validates that the value can be deleted from the path. Returns `true` if the value can be deleted.
+ * Called by synthesized `del` method.
+ *
+ * @param {Model} model model which value is deleted
+ * @param {String} path access path of the value
+ * @return {Boolean}
+ */
+function validateDel(model, path) {
+    var errors = [];
+    this._validateParents(model, path, undefined, true, errors);
+    this._validateValue(path, undefined, errors, true);
+    return this._handleErrors(model, path, undefined, errors);
+}
+
+
+/**
+ * ModelSchema instance method
+ * Validates the array that is about to be spliced and inserted items. Returns `true` if the splice is valid.
+ * Called by synthesized `splice` method.
+ *
+ * @param {Model} model model which array is spliced
+ * @param {String} path access path of the array
+ * @param {Array} array current array at path
+ * @param {Arguments} spliceArgs arguments of splice
+ * @return {Boolean}
+ */
+function validateSplice(model, path, array, spliceArgs) {
+    var items = _.slice(spliceArgs, 2);
+    if (! array && ! items.length) return true;
+
+    var newArray = array ? _.slice(array) : []
+        , index = modelUtils.normalizeSpliceIndex(spliceArgs[0], newArray.length)
+        , errors = [];
+
+    spliceArgs = _.slice(spliceArgs);
+    spliceArgs[0] = index;
+    Array.prototype.splice.apply(newArray, spliceArgs);
+    this._validateParents(model, path, newArray, false, errors);
+    this._validateValue(path, newArray, errors);
+
+    items.forEach(function(item, i) {
+        this._validateTree(path + '[' + (index + i) + ']', item, errors);
+    }, this);
+
+    return this._handleErrors(model, path, newArray, errors);
+}
+
+
+function _addRule(path, validator, isJSONSchemaRule) {
+    this.rules.push({
+        path: path,
+        pattern: pathUtils.createRegexPath(path, true),
+        validator: validator,
+        isJSONSchema: !! isJSONSchemaRule
+    });
+}
+
+
+/**
+ * Adds validator for JSON-Schema on the path and for all its properties and items schemas
+ *
+ * @private
+ * @param {String} path access path
+ * @param {Object} schema JSON-Schema
+ */
+function _addJSONSchemaRules(path, schema) {
+    this._addRule(path, jsonSchemaValidator(schema), true);
+
+    if (schema.properties)
+        Object.keys(schema.properties).forEach(function(key) {
+            this._addJSONSchemaRules(path + '.' + key, schema.properties[key]);
+        }, this);
+
+    if (schema.items)
+        this._addJSONSchemaRules(path + '[*]', schema.items);
+}
+
+
+/**
+ * Validates value with all rules for its path
+ *
+ * @private
+ * @param {String} path access path
+ * @param {Any} value value to validate
+ * @param {Array[String]} errors list of errors to add errors to
+ * @param {Boolean} skipJSONSchema optional true to only use validators that are not JSON-Schema
+ */
+function _validateValue(path, value, errors, skipJSONSchema) {
+    this.rules.forEach(function(rule) {
+        if (skipJSONSchema && rule.isJSONSchema) return;
+        var pattern = rule.pattern
+            , matches = pattern instanceof RegExp ? pattern.test(path) : pattern == path;
+        if (matches) {
+            var error = rule.validator(value);
+            if (error) errors.push((path || 'model') + ': ' + error);
+        }
+    });
+}
+
+
+/**
+ * Validates value and all values inside it
+ *
+ * @private
+ * @param {String} path access path
+ * @param {Any} value value to validate
+ * @param {Array[String]} errors list of errors to add errors to
+ */
+function _validateTree(path, value, errors) {
+    this._validateValue(path, value, errors);
+
+    if (modelUtils.valueIsNormalObject(value)) {
+        var isArray = Array.isArray(value);
+        Object.keys(value).forEach(function(key) {
+            this._validateTree(path + (isArray ? '[' + key + ']' : '.' + key), value[key], errors);
+        }, this);
+    }
+}
+
+
+/**
+ * Validates the values of all parent paths of the path (starting from the root) as they will be after the value at path is changed.
+ * Parent objects are copied shallowly, the model is not changed.
+ *
+ * @private
+ * @param {Model} model model which value is changed
+ * @param {String} path access path of the changed value
+ * @param {Any} value new value
+ * @param {Boolean} remove true if the value is deleted
+ * @param {Array[String]} errors list of errors to add errors to
+ */
+function _validateParents(model, path, value, remove, errors) {
+    var parsedPath = pathUtils.parseAccessPath(path);
+    if (! parsedPath.length) return;
+
+    var parents = []
+        , current = model.get();
+
+    parsedPath.forEach(function(pathNode) {
+        var parent = modelUtils.valueIsNormalObject(current)
+                        ? _.clone(current)
+                        : pathNode.syntax == 'array' ? [] : {};
+        parents.push(parent);
+        current = parent[pathUtils.getPathNodeKey(pathNode)];
+    });
+
+    var parentPath = '';
+    parents.forEach(function(parent, index) {
+        var pathNode = parsedPath[index]
+            , key = pathUtils.getPathNodeKey(pathNode);
+
+        if (index < parents.length - 1)
+            parent[key] = parents[index + 1];
+        else if (remove)
+            delete parent[key];
+        else
+            parent[key] = value;
+
+        this._validateValue(parentPath, parent, errors);
+        parentPath += pathNode.property;
+    }, this);
+}
+
+
+function _handleErrors(model, path, value, errors) {
+    if (! errors.length) return true;
+
+    switch (this.mode) {
+        case 'throw':
+            throw new Error('Model validation error: ' + errors.join('; '));
+        case 'message':
+            var data = { path: path, value: value, errors: errors };
+            if (model._options.reactive !== false)
+                model.postMessage('validationerror', data);
+            else
+                logger.error('Model validation error:', data);
+    }
+
+    return false;
+}
+
+
+function isJSONSchema(schema) {
+    var type = schema && schema.type;
+    return typeof type == 'string'
+            || (Array.isArray(type) && type.every(function(t) { return typeof t == 'string'; }));
+}
+
+
+function matchValidator(pattern) {
+    return function(value) {
+        if (! Match.test(value, pattern))
+            return 'value does not match pattern';
+    };
+}
+
+
+/**
+ * Creates validator for JSON-Schema constraints of the value itself, properties and items are validated by their own validators
+ *
+ * @private
+ * @param {Object} schema JSON-Schema
+ * @return {Function}
+ */
+function jsonSchemaValidator(schema) {
+    var types = schema.type && [].concat(schema.type);
+
+    return function(value) {
+        var valueType = getJSONType(value);
+
+        if (types && ! types.some(typeMatches))
+            return 'should be ' + types.join(' or ') + ', got ' + valueType;
+
+        if (schema.enum && ! schema.enum.some(function(item) { return _.isEqual(item, value); }))
+            return 'should be one of ' + JSON.stringify(schema.enum);
+
+        switch (valueType) {
+            case 'number':
+            case 'integer':
+                if (schema.minimum !== undefined && value < schema.minimum)
+                    return 'should be >= ' + schema.minimum;
+                if (schema.maximum !== undefined && value > schema.maximum)
+                    return 'should be <= ' + schema.maximum;
+                break;
+            case 'string':
+                if (schema.minLength !== undefined && value.length < schema.minLength)
+                    return 'should have at least ' + schema.minLength + ' characters';
+                if (schema.maxLength !== undefined && value.length > schema.maxLength)
+                    return 'should have at most ' + schema.maxLength + ' characters';
+                if (schema.pattern && ! new RegExp(schema.pattern).test(value))
+                    return 'should match pattern ' + schema.pattern;
+                break;
+            case 'array':
+                if (schema.minItems !== undefined && value.length < schema.minItems)
+                    return 'should have at least ' + schema.minItems + ' items';
+                if (schema.maxItems !== undefined && value.length > schema.maxItems)
+                    return 'should have at most ' + schema.maxItems + ' items';
+                break;
+            case 'object':
+                var missing = _.find(schema.required || [], function(key) {
+                    return ! value.hasOwnProperty(key);
+                });
+                if (missing)
+                    return 'should have property ' + missing;
+                if (schema.additionalProperties === false) {
+                    var extra = _.find(Object.keys(value), function(key) {
+                        return ! (schema.properties && schema.properties.hasOwnProperty(key));
+                    });
+                    if (extra)
+                        return 'should not have property ' + extra;
+                }
+        }
+
+
+        function typeMatches(type) {
+            return type == valueType
+                    || (type == 'number' && valueType == 'integer');
+        }
+    };
+}
+
+
+function getJSONType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value == 'number' && value % 1 === 0) return 'integer';
+    return typeof value;
+}
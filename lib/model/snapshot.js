@@ -0,0 +1,140 @@
+'use strict';
+
+
+var pathUtils = require('./path_utils')
+    , modelUtils = require('./model_utils')
+    , dataDiff = require('./data_diff')
+    , _ = require('protojs');
+
+
+/**
+ * Model methods to take immutable snapshots of model data and to restore model data from them.
+ *
+ * - [snapshot](#Model$snapshot) - returns frozen copy of model data
+ * - [restore](#Model$restore) - changes model data to match snapshot
+ */
+var snapshotMethods = {
+    snapshot: Model$snapshot,
+    restore: Model$restore
+};
+
+module.exports = snapshotMethods;
+
+
+/**
+ * Model instance method.
+ * Returns deeply frozen copy of model data.
+ * The model keeps the last snapshot and tracks paths changed with model accessors, so the subtrees that were not changed since the previous snapshot are shared between snapshots rather than copied again.
+ * Snapshots of the model with the same data are the same object, so they can be compared with `===` to detect changes.
+ * Changes made directly to `_data` property of the model are not tracked; with `{ reactive: false }` option the whole data is copied every time.
+ *
+ * @return {Any}
+ */
+function Model$snapshot() {
+    var state = this._snapshotState;
+    if (! state) {
+        state = _createSnapshotState.call(this);
+        var reuseTree = false;
+    } else
+        reuseTree = this._options.reactive !== false;
+
+    state.tree = _freezeTree(this._data, '', state.tree, state, reuseTree);
+    state.dirtyPaths = {};
+    state.replacedPaths = {};
+
+    return state.tree;
+}
+
+
+/**
+ * Model instance method.
+ * Changes model data to match the snapshot (or any other data), using model accessors only for paths that are different, so only the minimal set of messages is posted.
+ * All changes are posted in one transaction.
+ *
+ * @param {Any} snapshot snapshot returned by `snapshot` method
+ */
+function Model$restore(snapshot) {
+    var changes = dataDiff.diff(this._data, snapshot);
+    if (changes.length)
+        dataDiff.applyChanges(this, changes);
+}
+
+
+function _createSnapshotState() {
+    var state = {
+        tree: undefined,
+        dirtyPaths: {},
+        replacedPaths: {}
+    };
+
+    _.defineProperty(this, '_snapshotState', state);
+
+    if (this._options.reactive !== false)
+        this.onSync('datachanges', function(msg, batch) {
+            batch.changes.forEach(function(change) {
+                _markChangedPath(state, change.path);
+            });
+        });
+
+    return state;
+}
+
+
+/**
+ * Marks all parent paths of changed path as dirty (so they will be copied with shallow copy)
+ * and the changed path itself as replaced (so its subtree will be copied completely).
+ *
+ * @private
+ * @param {Object} state snapshot state of the model
+ * @param {String} path changed path
+ */
+function _markChangedPath(state, path) {
+    var parentPath = '';
+    state.dirtyPaths[parentPath] = true;
+    pathUtils.parseAccessPath(path).forEach(function(pathNode) {
+        parentPath += pathNode.property;
+        state.dirtyPaths[parentPath] = true;
+    });
+    state.replacedPaths[path] = true;
+}
+
+
+/**
+ * Copies and freezes data tree reusing the nodes of the previous snapshot that were not changed.
+ *
+ * @private
+ * @param {Any} value current value at path
+ * @param {String} path access path of the value
+ * @param {Any} prevValue value of the previous snapshot at path
+ * @param {Object} state snapshot state of the model
+ * @param {Boolean} reuseTree true if the nodes of the previous snapshot can be reused
+ * @return {Any}
+ */
+function _freezeTree(value, path, prevValue, state, reuseTree) {
+    if (reuseTree) {
+        if (state.replacedPaths[path])
+            reuseTree = false;
+        else if (! state.dirtyPaths[path])
+            return prevValue;
+    }
+
+    if (! modelUtils.valueIsNormalObject(value))
+        return value;
+
+    var isArray = Array.isArray(value)
+        , prevIsSameType = modelUtils.valueIsNormalObject(prevValue)
+                            && Array.isArray(prevValue) == isArray
+        , tree = isArray ? [] : {};
+
+    if (! prevIsSameType) prevValue = undefined;
+
+    _.eachKey(value, function(item, key) {
+        var itemPath = path + (isArray ? '[' + key + ']' : '.' + key)
+            , prevItem = prevValue && prevValue[key];
+        tree[key] = _freezeTree(item, itemPath, prevItem, state, reuseTree);
+    });
+
+    if (isArray) tree.length = value.length;
+
+    return Object.freeze(tree);
+}
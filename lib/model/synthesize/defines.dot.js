@@ -13,6 +13,34 @@
     var inChangeTransaction = getTransactionFlag( {{= method }} );
  #}}
 
+/**
+ * Inserts code to validate value with model schema before model is changed
+ */
+{{## def.validate:method:
+    var schema = {{# def.modelObject }}._schema;
+    if (schema) {
+        {{? method == 'splice' }}
+            if (! schema.validateSplice({{# def.modelObject }}, {{# def.modelAccessPath }}, this.get(), arguments))
+                return [];
+        {{?? method == 'del' }}
+            if (! schema.validateDel({{# def.modelObject }}, {{# def.modelAccessPath }}))
+                return;
+        {{??}}
+            if (! schema.validateSet({{# def.modelObject }}, {{# def.modelAccessPath }}, value))
+                return;
+        {{?}}
+    }
+#}}
+
+/**
+ * Inserts code to prevent writes to computed paths
+ */
+{{## def.checkComputed:
+    var computed = {{# def.modelObject }}._computed;
+    if (computed)
+        computed.checkWrite({{# def.modelAccessPath }});
+#}}
+
 /**
  * Inserts the beginning of function call to add message to list
  */
@@ -53,17 +81,22 @@
 
 
 /**
- * Inserts code to post stored messages
+ * Inserts code to post stored messages (or to add them to the batch if accessor is called inside `model.batch`)
  */
 {{## def.postMessages:
     if (messages.length) {
-        {{# def.modelPostBatchCode }}('datachanges', {
-            changes: messages,
-            transaction: inChangeTransaction
-        });
+        var modelBatch = {{# def.modelObject }}._batch;
+        if (modelBatch)
+            modelBatch.add(messages);
+        else {
+            {{# def.modelPostBatchCode }}('datachanges', {
+                changes: messages,
+                transaction: inChangeTransaction
+            });
 
-        messages.forEach(function(msg) {
-            {{# def.modelPostMessageCode }}(msg.path, msg);
-        }, this);
+            messages.forEach(function(msg) {
+                {{# def.modelPostMessageCode }}(msg.path, msg);
+            }, this);
+        }
     }
 #}}
@@ -6,6 +6,8 @@
 
 return function del() {
     {{# def.initVars:'del' }}
+    {{# def.checkComputed }}
+    {{# def.validate:'del' }}
 
     {{? it.parsedPath.length }}
         {{# def.traverseTree }}
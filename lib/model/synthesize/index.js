@@ -6,6 +6,7 @@ var pathUtils = require('../path_utils')
     , fs = require('fs')
     , doT = require('dot')
     , _ = require('protojs')
+    , dataDiff = require('../data_diff')
     , changeDataHandler = require('../change_data')
     , getTransactionFlag = changeDataHandler.getTransactionFlag
     , postTransactionFinished = changeDataHandler.postTransactionFinished;
@@ -33,14 +34,18 @@ var dotDef = {
     modelAccessPrefix: 'this._model._data',
     modelPostMessageCode: 'this._model._internalMessenger.postMessage',
     modelPostBatchCode: 'this._model.postMessageSync',
-    internalMessenger: 'this._model._internalMessenger'
+    internalMessenger: 'this._model._internalMessenger',
+    modelObject: 'this._model',
+    modelAccessPath: 'this._accessPath'
 };
 
 var modelDotDef = _(dotDef).clone().extend({
     modelAccessPrefix: 'this._data',
     modelPostMessageCode: 'this._internalMessenger.postMessage',
     modelPostBatchCode: 'this.postMessageSync',
-    internalMessenger: 'this._internalMessenger'
+    internalMessenger: 'this._internalMessenger',
+    modelObject: 'this',
+    modelAccessPath: '\'\''
 })._();
 
 
@@ -75,7 +80,9 @@ function _synthesizePathMethods(path, parsedPath) {
 }
 
 
-var normalizeSpliceIndex = modelUtils.normalizeSpliceIndex; // used in splice.dot.js
+var normalizeSpliceIndex = modelUtils.normalizeSpliceIndex // used in splice.dot.js
+    , cloneTree = modelUtils.cloneTree
+    , valueIsTree = modelUtils.valueIsTree;
 
 
 function _synthesize(synthesizer, path, parsedPath) {
@@ -90,6 +97,7 @@ function _synthesize(synthesizer, path, parsedPath) {
             'addTreeChangesMessages',
             'addChangeMessage',
             'addMessages',
+            'addDiffMessages',
             'cloneTree',
             'valueIsTree',
             'normalizeSpliceIndex',
@@ -100,6 +108,7 @@ function _synthesize(synthesizer, path, parsedPath) {
             addTreeChangesMessages,
             addChangeMessage,
             addMessages,
+            addDiffMessages,
             cloneTree,
             valueIsTree,
             normalizeSpliceIndex
@@ -126,6 +135,46 @@ function _synthesize(synthesizer, path, parsedPath) {
             addMessages(messages, messagesHash, rootPath, oldValue, 'removed', 'oldValue');
     }
 
+    /**
+     * Adds messages only for the values that are different in the old and new value (used with "compare" model option).
+     *
+     * @param {Array} messages list of messages
+     * @param {Object} messagesHash map of messages by path
+     * @param {String} rootPath path of the value
+     * @param {Any} oldValue value before set
+     * @param {Any} newValue value after set
+     * @param {String|Function} compare 'deep' or function that returns true if values are equal
+     */
+    function addDiffMessages(messages, messagesHash, rootPath, oldValue, newValue, compare) {
+        var isEqual = typeof compare == 'function' ? compare : undefined
+            , changes = dataDiff.diff(oldValue, newValue, rootPath, isEqual);
+
+        changes.forEach(function(change) {
+            addChangeMessage(messages, messagesHash, change);
+
+            if (change.type == 'splice') {
+                change.removed.forEach(function(item, i) {
+                    addItemMessages(change.path + '[' + (change.index + i) + ']', item, 'removed', 'oldValue');
+                });
+                change.newValue.slice(change.index, change.index + change.addedCount).forEach(function(item, i) {
+                    addItemMessages(change.path + '[' + (change.index + i) + ']', item, 'added', 'newValue');
+                });
+            } else
+                addTreeChangesMessages(messages, messagesHash,
+                    change.path, change.oldValue, change.newValue);
+        });
+
+
+        function addItemMessages(itemPath, item, msgType, valueProp) {
+            var msg = { path: itemPath, type: msgType };
+            msg[valueProp] = item;
+            addChangeMessage(messages, messagesHash, msg);
+
+            if (valueIsTree(item))
+                addMessages(messages, messagesHash, itemPath, item, msgType, valueProp);
+        }
+    }
+
     function addMessages(messages, messagesHash, rootPath, obj, msgType, valueProp) {
         _addMessages(rootPath, obj);
 
@@ -165,24 +214,6 @@ function _synthesize(synthesizer, path, parsedPath) {
                 _addMessages(path, value);
         }
     }
-
-    function cloneTree(value) {
-        return valueIsNormalObject(value)
-                ? _.deepClone(value)
-                : value;
-    }
-
-    function valueIsTree(value) {
-        return valueIsNormalObject(value)
-                && Object.keys(value).length;
-    }
-
-    function valueIsNormalObject(value) {
-        return value != null
-                && typeof value == "object"
-                && ! (value instanceof Date)
-                && ! (value instanceof RegExp);
-    }
 }
 
 
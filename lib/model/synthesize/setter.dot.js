@@ -10,6 +10,8 @@
  */
 return function set(value) {
     {{# def.initVars:'set' }}
+    {{# def.checkComputed }}
+    {{# def.validate:'set' }}
 
     {{# def.createTree:'set' }}
 
@@ -31,17 +33,25 @@ return function set(value) {
 
     {{ /* add message related to the last property change */ }}
     if (this._options.reactive !== false) {
-        if (! wasDef)
-            {{# def.addMsg }} accessPath, type: 'added',
-                newValue: value });
-        else if (old != value)
-            {{# def.addMsg }} accessPath, type: 'changed',
-                oldValue: old, newValue: value });
-
-        {{ /* add message related to changes in (sub)properties inside removed and assigned value */ }}
-        if (! wasDef || old != value)
-            addTreeChangesMessages(messages, messagesHash,
-                accessPath, old, value); /* defined in the function that synthesizes ModelPath setter */
+        var compare = this._options.compare;
+
+        {{ /* with "compare" option only add messages for the values that are different */ }}
+        if (compare && wasDef)
+            addDiffMessages(messages, messagesHash,
+                accessPath, old, value, compare); /* defined in the function that synthesizes ModelPath setter */
+        else {
+            if (! wasDef)
+                {{# def.addMsg }} accessPath, type: 'added',
+                    newValue: value });
+            else if (old != value)
+                {{# def.addMsg }} accessPath, type: 'changed',
+                    oldValue: old, newValue: value });
+
+            {{ /* add message related to changes in (sub)properties inside removed and assigned value */ }}
+            if (! wasDef || old != value)
+                addTreeChangesMessages(messages, messagesHash,
+                    accessPath, old, value); /* defined in the function that synthesizes ModelPath setter */
+        }
 
         {{ /* post all stored messages */ }}
         {{# def.postMessages }}
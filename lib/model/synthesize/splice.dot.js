@@ -7,6 +7,8 @@
 
 return function splice(spliceIndex, spliceHowMany) { /* ,... - extra arguments to splice into array */
     {{# def.initVars:'splice' }}
+    {{# def.checkComputed }}
+    {{# def.validate:'splice' }}
 
     var argsLen = arguments.length;
     var addItems = argsLen > 2;
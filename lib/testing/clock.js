@@ -0,0 +1,196 @@
+'use strict';
+
+var Scheduler = require('../messenger/scheduler')
+    , _ = require('protojs');
+
+
+module.exports = VirtualClock;
+
+
+/**
+ * `milo.testing.VirtualClock`
+ * Scheduler with virtual time that calls scheduled tasks only when its methods `tick` or `runAll` are called.
+ * When installed, it replaces the default [Scheduler](../messenger/scheduler.js.html), so it controls asynchronous subscribers of [Messenger](../messenger/index.js.html) (apart from messengers created with `scheduler` option),
+ * deferred propagation of changes by [Connector](../model/connector.js.html), propagation messages of [minder](../minder.js.html), lazy computed properties of [Model](../model/index.js.html) and all delays made with [Scheduler.defer](../messenger/scheduler.js.html#defer) (throttled and debounced subscribers, timeouts, model persistence).
+ * The instance is available as `milo.testing.clock`.
+ * Usage:
+ * ```
+ * var clock = milo.testing.clock;
+ * beforeEach(function() { clock.install(); });
+ * afterEach(function() { clock.uninstall(); });
+ *
+ * it('should propagate changes', function() {
+ *     milo.minder(m1, '->>', m2);
+ *     m1('.name').set('milo');
+ *     clock.runAll();
+ *     assert.equal(m2('.name').get(), 'milo');
+ * });
+ * ```
+ *
+ * @constructor
+ * @return {VirtualClock}
+ */
+function VirtualClock() {
+    this._now = 0;
+    this._tasks = [];
+    this._previousScheduler = undefined;
+    this.installed = false;
+}
+
+
+/**
+ * ####VirtualClock instance methods####
+ *
+ * - [install](#VirtualClock$install) - makes the clock the default scheduler
+ * - [uninstall](#VirtualClock$uninstall) - restores the previous default scheduler and removes scheduled tasks
+ * - [schedule](#VirtualClock$schedule) - schedules the task
+ * - [tick](#VirtualClock$tick) - advances the time calling the tasks that become due
+ * - [runAll](#VirtualClock$runAll) - calls all tasks, including the tasks scheduled by them
+ * - [pendingCount](#VirtualClock$pendingCount) - returns the number of scheduled tasks
+ * - [now](#VirtualClock$now) - returns virtual time
+ * - [reset](#VirtualClock$reset) - removes scheduled tasks and resets virtual time
+ */
+_.extendProto(VirtualClock, {
+    install: VirtualClock$install,
+    uninstall: VirtualClock$uninstall,
+    schedule: VirtualClock$schedule,
+    tick: VirtualClock$tick,
+    runAll: VirtualClock$runAll,
+    pendingCount: VirtualClock$pendingCount,
+    now: VirtualClock$now,
+    reset: VirtualClock$reset,
+    _runTask: _runTask
+});
+
+
+/**
+ * VirtualClock instance method
+ * Makes the clock the default scheduler.
+ *
+ * @return {VirtualClock}
+ */
+function VirtualClock$install() {
+    if (this.installed)
+        throw new Error('VirtualClock: clock is already installed');
+    this._previousScheduler = Scheduler.getDefault();
+    Scheduler.useDefault(this);
+    this.installed = true;
+    return this;
+}
+
+
+/**
+ * VirtualClock instance method
+ * Restores the default scheduler that was used before the clock was installed and removes scheduled tasks without calling them.
+ */
+function VirtualClock$uninstall() {
+    if (! this.installed) return;
+    Scheduler.useDefault(this._previousScheduler);
+    this._previousScheduler = undefined;
+    this.installed = false;
+    this.reset();
+}
+
+
+/**
+ * VirtualClock instance method
+ * Schedules the task to be called after delay (in virtual milliseconds).
+ * Tasks are called in the order of their time, the tasks with the same time - in the order they were scheduled.
+ *
+ * @param {Function} task
+ * @param {Number} delay optional delay, 0 by default
+ */
+function VirtualClock$schedule(task, delay) {
+    var time = this._now + (delay || 0)
+        , index = _.findIndex(this._tasks, function(scheduled) {
+            return scheduled.time > time;
+        });
+
+    var scheduled = { time: time, task: task };
+    if (index == -1)
+        this._tasks.push(scheduled);
+    else
+        this._tasks.splice(index, 0, scheduled);
+}
+
+
+/**
+ * VirtualClock instance method
+ * Advances virtual time calling all tasks that become due, including the tasks scheduled by them.
+ * `clock.tick()` calls all tasks that are due now, i.e. all the tasks scheduled by milo.
+ *
+ * @param {Number} ms optional number of milliseconds to advance time by, 0 by default
+ * @return {Number} the number of called tasks
+ */
+function VirtualClock$tick(ms) {
+    var time = this._now + (ms || 0)
+        , count = 0;
+
+    while (this._tasks.length && this._tasks[0].time <= time) {
+        this._runTask();
+        count++;
+    }
+
+    this._now = time;
+    return count;
+}
+
+
+/**
+ * VirtualClock instance method
+ * Calls all scheduled tasks, including the tasks scheduled while calling them, advancing virtual time as necessary.
+ *
+ * @param {Number} maxTasks optional maximum number of tasks to call (1000 by default), it prevents infinite loop when tasks schedule each other
+ * @return {Number} the number of called tasks
+ */
+function VirtualClock$runAll(maxTasks) {
+    maxTasks = maxTasks || 1000;
+    var count = 0;
+
+    while (this._tasks.length) {
+        if (count++ >= maxTasks)
+            throw new Error('VirtualClock: more than ' + maxTasks + ' tasks called in runAll');
+        this._runTask();
+    }
+
+    return count;
+}
+
+
+/**
+ * VirtualClock instance method
+ * Returns the number of scheduled tasks.
+ *
+ * @return {Number}
+ */
+function VirtualClock$pendingCount() {
+    return this._tasks.length;
+}
+
+
+/**
+ * VirtualClock instance method
+ * Returns virtual time in milliseconds (it starts from 0).
+ *
+ * @return {Number}
+ */
+function VirtualClock$now() {
+    return this._now;
+}
+
+
+/**
+ * VirtualClock instance method
+ * Removes all scheduled tasks and resets virtual time.
+ */
+function VirtualClock$reset() {
+    this._tasks.length = 0;
+    this._now = 0;
+}
+
+
+function _runTask() {
+    var scheduled = this._tasks.shift();
+    this._now = Math.max(this._now, scheduled.time);
+    scheduled.task();
+}
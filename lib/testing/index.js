@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * `milo.testing`
+ * Utilities for testing the code that uses milo.
+ *
+ * - [clock](./clock.js.html) - virtual clock that controls asynchronous dispatch of messages and propagation of changes
+ * - [VirtualClock](./clock.js.html) - class of clock
+ */
+var VirtualClock = require('./clock');
+
+var testing = {
+    clock: new VirtualClock,
+    VirtualClock: VirtualClock
+};
+
+module.exports = testing;
@@ -5,6 +5,7 @@
  */
 var util = {
     logger: require('./logger'),
+    serialization: require('./serialization'),
     check: require('ml-check'),
     doT: require('dot')
 };
@@ -0,0 +1,290 @@
+'use strict';
+
+
+var _ = require('protojs')
+    , check = require('ml-check')
+    , Match = check.Match;
+
+
+/**
+ * `milo.util.serialization`, also available as `milo.Model.Serialization`
+ * Converts [Model](../model/index.js.html) data (and any other data, e.g. messages sent by [PortMessageSource](../messenger/port_source.js.html)) with values of special types (Date, RegExp, Map, Set and registered classes) to JSON-compatible data and back.
+ * Such values are encoded as `{ $type: 'Date', value: '2016-01-01T00:00:00.000Z' }`, where value is also encoded, so types can be nested.
+ * Plain objects that have `$type` property are encoded as `{ $type: 'Object', value: {...} }` so they are not confused with encoded values.
+ * Instances of other classes are encoded as plain objects with their own enumerable properties.
+ *
+ * - [registerType](#registerType) - registers type encoder and reviver
+ * - [unregisterType](#unregisterType) - removes registered type
+ * - [isRegisteredType](#isRegisteredType) - returns true if the value is of registered type
+ * - [encode](#encode) - converts data to JSON-compatible data
+ * - [decode](#decode) - converts encoded data back
+ *
+ * Usage:
+ * ```
+ * Model.Serialization.registerType('Point', {
+ *     constructor: Point,
+ *     encode: function(point) { return [point.x, point.y]; },
+ *     revive: function(coords) { return new Point(coords[0], coords[1]); }
+ * });
+ * var json = JSON.stringify(m.toJSON());
+ * var m2 = Model.fromJSON(json);
+ * ```
+ */
+var serialization = {
+    registerType: registerType,
+    unregisterType: unregisterType,
+    isRegisteredType: isRegisteredType,
+    encode: encode,
+    decode: decode
+};
+
+module.exports = serialization;
+
+
+var TYPE_KEY = '$type'
+    , OBJECT_TYPE = 'Object';
+
+
+var TYPE_PATTERN = Match.ObjectIncluding({
+    constructor: Match.Optional(Function),
+    test: Match.Optional(Function),
+    encode: Function,
+    revive: Function
+});
+
+
+var registeredTypes = {}
+    , registeredTypesNames = [];
+
+
+registerType('Date', {
+    constructor: Date,
+    encode: function(date) {
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    },
+    revive: function(str) {
+        return new Date(str === null ? NaN : str);
+    }
+});
+
+registerType('RegExp', {
+    constructor: RegExp,
+    encode: function(regex) {
+        var str = String(regex);
+        return { source: regex.source, flags: str.slice(str.lastIndexOf('/') + 1) };
+    },
+    revive: function(value) {
+        return new RegExp(value.source, value.flags);
+    }
+});
+
+if (typeof Map == 'function')
+    registerType('Map', {
+        constructor: Map,
+        encode: function(map) {
+            var entries = [];
+            map.forEach(function(value, key) {
+                entries.push([key, value]);
+            });
+            return entries;
+        },
+        revive: function(entries) {
+            var map = new Map;
+            entries.forEach(function(entry) {
+                map.set(entry[0], entry[1]);
+            });
+            return map;
+        }
+    });
+
+if (typeof Set == 'function')
+    registerType('Set', {
+        constructor: Set,
+        encode: function(set) {
+            var values = [];
+            set.forEach(function(value) {
+                values.push(value);
+            });
+            return values;
+        },
+        revive: function(values) {
+            var set = new Set;
+            values.forEach(function(value) {
+                set.add(value);
+            });
+            return set;
+        }
+    });
+
+
+/**
+ * Registers type that will be encoded and revived by all models.
+ * Types registered later are checked first, so they can override the types registered before (including built-in types).
+ *
+ * @param {String} name type name used in `$type` property
+ * @param {Object} type object with properties:
+ *  - constructor - class of the values of this type (values are checked with `instanceof`)
+ *  - test - function that returns true for the values of this type, can be used instead of constructor
+ *  - encode - function that converts the value to data that will be encoded further
+ *  - revive - function that converts decoded data back to the value
+ */
+function registerType(name, type) {
+    checkType(type, name);
+
+    unregisterType(name);
+    registeredTypes[name] = type;
+    registeredTypesNames.unshift(name);
+}
+
+
+/**
+ * Removes registered type.
+ *
+ * @param {String} name type name
+ */
+function unregisterType(name) {
+    if (! registeredTypes.hasOwnProperty(name)) return;
+    delete registeredTypes[name];
+    _.spliceItem(registeredTypesNames, name);
+}
+
+
+/**
+ * Returns true if the value is of registered type.
+ * Such values are stored in [Model](../model/index.js.html) as leaf values, see [modelUtils](../model/model_utils.js.html).
+ *
+ * @param {Any} value
+ * @return {Boolean}
+ */
+function isRegisteredType(value) {
+    return registeredTypesNames.some(function(name) {
+        return valueIsOfType(value, registeredTypes[name]);
+    });
+}
+
+
+/**
+ * Converts data to JSON-compatible data encoding values of registered types.
+ * The passed data is not changed.
+ *
+ * @param {Any} data data to encode
+ * @param {Object} options optional object with property `types` - map of additional types (as in `registerType`) used only in this call
+ * @return {Any}
+ */
+function encode(data, options) {
+    var types = getTypes(options);
+    return encodeValue(data);
+
+
+    function encodeValue(value) {
+        if (value == null || typeof value != 'object') return value;
+
+        var typeName = _.find(types.names, function(name) {
+            return valueIsOfType(value, types.hash[name]);
+        });
+        if (typeName)
+            return encodedValue(typeName, encodeValue(types.hash[typeName].encode(value)));
+
+        if (Array.isArray(value))
+            return value.map(encodeValue);
+
+        var obj = {};
+        Object.keys(value).forEach(function(key) {
+            obj[key] = encodeValue(value[key]);
+        });
+
+        return obj.hasOwnProperty(TYPE_KEY)
+                ? encodedValue(OBJECT_TYPE, obj)
+                : obj;
+    }
+}
+
+
+/**
+ * Converts encoded data (or JSON string) back reviving values of registered types.
+ * Throws if data has values of unknown types.
+ *
+ * @param {Any} data encoded data or JSON string
+ * @param {Object} options optional object with property `types` - map of additional types (as in `registerType`) used only in this call
+ * @return {Any}
+ */
+function decode(data, options) {
+    var types = getTypes(options);
+    if (typeof data == 'string')
+        data = JSON.parse(data);
+    return decodeValue(data);
+
+
+    function decodeValue(value) {
+        if (value == null || typeof value != 'object') return value;
+
+        if (Array.isArray(value))
+            return value.map(decodeValue);
+
+        var typeName = value[TYPE_KEY];
+        if (typeof typeName == 'string') {
+            if (typeName == OBJECT_TYPE)
+                return decodeObject(value.value);
+            var type = types.hash[typeName];
+            if (! type)
+                throw new Error('Model serialization: unknown type ' + typeName);
+            return type.revive(decodeValue(value.value));
+        }
+
+        return decodeObject(value);
+    }
+
+
+    function decodeObject(value) {
+        var obj = {};
+        Object.keys(value).forEach(function(key) {
+            obj[key] = decodeValue(value[key]);
+        });
+        return obj;
+    }
+}
+
+
+function checkType(type, name) {
+    check(name, String);
+    check(type, TYPE_PATTERN);
+    if (name == OBJECT_TYPE)
+        throw new Error('Model serialization: type name ' + name + ' is reserved');
+    if (! type.test && ! type.hasOwnProperty('constructor'))
+        throw new Error('Model serialization: type ' + name + ' should have constructor or test function');
+}
+
+
+function encodedValue(typeName, value) {
+    var encoded = {};
+    encoded[TYPE_KEY] = typeName;
+    encoded.value = value;
+    return encoded;
+}
+
+
+function valueIsOfType(value, type) {
+    return type.test
+            ? type.test(value)
+            : value instanceof type.constructor;
+}
+
+
+/**
+ * Returns registered types together with types passed in options
+ *
+ * @private
+ * @param {Object} options
+ * @return {Object} object with properties `hash` (map of types) and `names` (the order to check types in)
+ */
+function getTypes(options) {
+    var optionsTypes = options && options.types;
+    if (! optionsTypes)
+        return { hash: registeredTypes, names: registeredTypesNames };
+
+    _.eachKey(optionsTypes, checkType);
+    return {
+        hash: _.extend(_.clone(registeredTypes), optionsTypes),
+        names: Object.keys(optionsTypes).concat(registeredTypesNames)
+    };
+}
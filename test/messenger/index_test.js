@@ -1,6 +1,8 @@
 'use strict';
 
-var Messenger = require('../../lib/milo-core').Messenger
+var milo = require('../../lib/milo-core')
+    , Messenger = milo.Messenger
+    , Match = milo.util.check.Match
     , messengerTests = require('./messenger')
     , assert = require('assert');
 
@@ -28,6 +30,701 @@ describe('Messenger class', function() {
     messengerTests(getHostWithMessenger);
 
 
+    it('should support wildcards in messages if messenger is created with "wildcards" option', function() {
+        var host = {}
+            , messenger = new Messenger(host, undefined, undefined, { wildcards: true })
+            , posted = [];
+
+        messenger.onSync('data:*', function(msg) { posted.push('data:* ' + msg); });
+        messenger.onSync('**', function(msg) { posted.push('** ' + msg); });
+
+        messenger.postMessage('data:changed');
+        messenger.postMessage('data:item:added');
+        messenger.postMessage('other');
+
+            assert.deepEqual(posted, [
+                'data:* data:changed', '** data:changed',
+                '** data:item:added',
+                '** other'
+            ]);
+
+            assert(messenger.off('data:*'));
+            assert.equal(messenger.getSubscribers('data:changed').length, 1);
+    });
+
+
+    it('should support namespaces in messages if messenger is created with "namespaces" option', function() {
+        var host = {}
+            , messenger = new Messenger(host, undefined, undefined, { namespaces: true, wildcards: true })
+            , posted = [];
+
+        function handler1(msg) { posted.push('handler1 ' + msg); }
+        function handler2(msg) { posted.push('handler2 ' + msg); }
+        function handler3(msg) { posted.push('handler3 ' + msg); }
+
+        messenger.onSync('click.plugin keyup.plugin.ui', handler1);
+        messenger.onSync('click', handler2);
+        messenger.onSync('data:*.ui', handler3);
+
+            assert.deepEqual(messenger.getSubscribers('click'), [
+                { subscriber: handler1, context: host, options: { sync: true }, namespaces: ['plugin'] },
+                { subscriber: handler2, context: host, options: { sync: true } }
+            ]);
+
+        messenger.postMessage('click');
+        messenger.postMessage('data:changed');
+            assert.deepEqual(posted, ['handler1 click', 'handler2 click', 'handler3 data:changed']);
+
+            assert.equal(messenger.off('click.ui'), false);
+            assert(messenger.off('.ui'));
+            assert.equal(messenger.getSubscribers('keyup'), undefined);
+            assert.equal(messenger.getSubscribers('data:changed'), undefined);
+            assert.equal(messenger.getSubscribers('click').length, 2);
+
+            assert(messenger.off('.plugin', handler1));
+            assert.deepEqual(messenger.getSubscribers('click'), [
+                { subscriber: handler2, context: host, options: { sync: true } }
+            ]);
+
+        assert.throws(function() {
+            messenger.on('.plugin', handler1);
+        }, /message is required/);
+    });
+
+
+    it('should remove namespaced subscriber subscribed with once', function() {
+        var messenger = new Messenger({}, undefined, undefined, { namespaces: true })
+            , calls = 0;
+
+        messenger.once('event.ns', function() { calls++; });
+        messenger.postMessageSync('event');
+        messenger.postMessageSync('event');
+
+            assert.equal(calls, 1);
+            assert.equal(messenger.getSubscribers('event'), undefined);
+    });
+
+
+    it('should not proxy methods added to Messenger to host objects by default', function() {
+        var Model = require('../../lib/milo-core').Model
+            , model = new Model;
+
+        ['waitFor', 'stream', 'getStickyMessages', 'request', 'handle'].forEach(function(method) {
+            assert.equal(Messenger.defaultMethods[method], undefined);
+            assert.equal(model[method], undefined);
+            assert.equal(typeof model._messenger[method], 'function');
+        });
+    });
+
+
+    it('should define waitFor method that returns promise', function() {
+        var host = {}
+            , messenger = new Messenger(host);
+
+        var promise = messenger.waitFor('event', {
+            filter: function(msg, data) { return data.ready; }
+        });
+
+        messenger.postMessageSync('event', { ready: false });
+        messenger.postMessageSync('event', { ready: true });
+
+        return promise.then(function(message) {
+            assert.deepEqual(message, { msg: 'event', data: { ready: true } });
+            assert.equal(messenger.getSubscribers('event'), undefined);
+        });
+    });
+
+
+    it('should reject promise returned by waitFor on timeout and destroy', function() {
+        var messenger = new Messenger({})
+            , clock = milo.testing.clock.install();
+
+        try {
+            var timeoutPromise = messenger.waitFor('event', { timeout: 10 }).then(function() {
+                throw new Error('should not resolve');
+            }, function(err) {
+                assert(/timeout/.test(err.message));
+                assert.equal(messenger.getSubscribers('event'), undefined);
+            });
+
+            clock.tick(9);
+                assert.equal(messenger.getSubscribers('event').length, 1);
+            clock.tick(1);
+        } finally {
+            clock.uninstall();
+        }
+
+        return timeoutPromise.then(function() {
+            var destroyPromise = messenger.waitFor('event');
+            messenger.destroy();
+            return destroyPromise.then(function() {
+                throw new Error('should not resolve');
+            }, function(err) {
+                assert(/destroyed/.test(err.message));
+            });
+        });
+    });
+
+
+    it('should define stream method that returns async iterator', function() {
+        var messenger = new Messenger({})
+            , stream = messenger.stream('event1 event2');
+
+        assert.equal(stream[Symbol.asyncIterator](), stream);
+
+        messenger.postMessageSync('event1', 1);
+        messenger.postMessageSync('event2', 2);
+
+        return stream.next().then(function(result) {
+            assert.deepEqual(result, { value: { msg: 'event1', data: 1 }, done: false });
+            return stream.next();
+        }).then(function(result) {
+            assert.deepEqual(result, { value: { msg: 'event2', data: 2 }, done: false });
+
+            var nextPromise = stream.next();
+            messenger.postMessageSync('event1', 3);
+            return nextPromise;
+        }).then(function(result) {
+            assert.deepEqual(result.value, { msg: 'event1', data: 3 });
+
+            var nextPromise = stream.next();
+            stream.return();
+            return nextPromise;
+        }).then(function(result) {
+            assert.deepEqual(result, { value: undefined, done: true });
+            assert.equal(messenger.getSubscribers('event1'), undefined);
+        });
+    });
+
+
+    it('should finish stream when messenger is destroyed', function() {
+        var messenger = new Messenger({})
+            , stream = messenger.stream('event')
+            , nextPromise = stream.next();
+
+        messenger.destroy();
+
+        return nextPromise.then(function(result) {
+            assert.equal(result.done, true);
+        });
+    });
+
+
+    describe('subscribers exceptions', function() {
+        var messenger, called;
+
+        function throwingSubscriber() { throw new Error('test error'); }
+        function subscriber(msg) { called.push(msg); }
+
+        beforeEach(function() {
+            messenger = new Messenger({});
+            called = [];
+            messenger.onSync('event', throwingSubscriber);
+            messenger.onSync('event', subscriber);
+        });
+
+
+        it('should continue dispatch and post "error" message', function() {
+            var errors = [];
+            messenger.onSync('error', function(msg, errorData) {
+                errors.push(errorData);
+            });
+
+            messenger.postMessage('event', { test: 1 });
+
+                assert.deepEqual(called, ['event']);
+                assert.equal(errors.length, 1);
+                assert.equal(errors[0].error.message, 'test error');
+                assert.equal(errors[0].message, 'event');
+                assert.deepEqual(errors[0].data, { test: 1 });
+                assert.equal(errors[0].subscriber.subscriber, throwingSubscriber);
+        });
+
+
+        it('should rethrow exception after dispatch if it is not handled', function() {
+            assert.throws(function() {
+                messenger.postMessage('event');
+            }, /test error/);
+
+                assert.deepEqual(called, ['event']);
+        });
+
+
+        it('should log exceptions in asynchronous subscribers if they are not handled', function(done) {
+            var logger = require('../../lib/util/logger')
+                , logError = logger.error
+                , logged = [];
+
+            logger.error = function(msg, error) { logged.push(error); };
+            messenger.on('async', throwingSubscriber);
+            messenger.postMessage('async');
+
+            setTimeout(function() {
+                logger.error = logError;
+                assert.equal(logged.length, 1);
+                assert.equal(logged[0].message, 'test error');
+                done();
+            }, 10);
+        });
+
+
+        it('should pass exceptions to global error handler', function() {
+            var errors = [];
+            Messenger.useErrorHandler(function(errorData, msngr) {
+                errors.push(errorData);
+                assert.equal(msngr, messenger);
+            });
+
+            try {
+                messenger.postMessage('event');
+            } finally {
+                Messenger.useErrorHandler();
+            }
+
+                assert.deepEqual(called, ['event']);
+                assert.equal(errors.length, 1);
+                assert.equal(errors[0].message, 'event');
+        });
+
+
+        it('should rethrow exceptions immediately in strict mode', function() {
+            messenger.onSync('error', function() {});
+            Messenger.useStrictMode(true);
+
+            try {
+                assert.throws(function() {
+                    messenger.postMessage('event');
+                }, /test error/);
+            } finally {
+                Messenger.useStrictMode(false);
+            }
+
+                assert.deepEqual(called, []);
+        });
+    });
+
+
+    describe('throttled and debounced subscribers', function() {
+        var clock = milo.testing.clock;
+
+        beforeEach(function() {
+            clock.install();
+        });
+
+        afterEach(function() {
+            clock.uninstall();
+        });
+
+
+        it('should call throttled subscriber at most once per interval with the latest message', function() {
+            var messenger = new Messenger({})
+                , posted = [];
+
+            messenger.onSync('progress', function(msg, data) { posted.push(data); }, { throttle: 20 });
+
+            messenger.postMessage('progress', 1);
+            messenger.postMessage('progress', 2);
+            messenger.postMessage('progress', 3);
+
+                assert.deepEqual(posted, [1]);
+
+            clock.tick(19);
+                assert.deepEqual(posted, [1]);
+
+            clock.tick(1);
+                assert.deepEqual(posted, [1, 3]);
+
+            messenger.postMessage('progress', 4);
+                assert.deepEqual(posted, [1, 3]);
+
+            clock.tick(20);
+                assert.deepEqual(posted, [1, 3, 4]);
+        });
+
+
+        it('should call debounced subscriber with accumulated data', function() {
+            var messenger = new Messenger({})
+                , posted = [];
+
+            messenger.onSync('cursor', function(msg, data) { posted.push(data); }, {
+                debounce: 10,
+                reduce: function(accumulated, data) { return (accumulated || []).concat(data); }
+            });
+
+            messenger.postMessage('cursor', 1);
+            clock.tick(5);
+            messenger.postMessage('cursor', 2);
+            clock.tick(9);
+                assert.deepEqual(posted, []);
+
+            clock.tick(1);
+                assert.deepEqual(posted, [[1, 2]]);
+        });
+
+
+        it('should cancel delayed calls when subscriber is removed', function() {
+            var messenger = new Messenger({})
+                , posted = [];
+
+            function subscriber(msg, data) { posted.push(data); }
+
+            messenger.onSync('event1', subscriber, { debounce: 5 });
+            messenger.onSync('event2', subscriber, { debounce: 5 });
+            messenger.onSync('event3', subscriber, { throttle: 5 });
+
+            messenger.postMessage('event1', 1);
+            messenger.postMessage('event2', 2);
+            messenger.postMessage('event3', 3);
+            messenger.postMessage('event3', 4);
+                assert.deepEqual(posted, [3]);
+
+            messenger.off('event1', subscriber);
+            messenger.offAll();
+
+            clock.runAll();
+                assert.deepEqual(posted, [3]);
+
+            assert.throws(function() {
+                messenger.on('event', subscriber, { throttle: 5, debounce: 5 });
+            }, /both throttle and debounce/);
+        });
+    });
+
+
+    it('should call subscribers only if data passes the filter', function() {
+        var messenger = new Messenger({})
+            , added = []
+            , numbers = [];
+
+        function isAdded(msg, data) { return data.type == 'added'; }
+        function onAdded(msg, data) { added.push(data.value); }
+
+        messenger.onceSync('change', onAdded, { filter: isAdded });
+        messenger.onSync('change', function(msg, data) {
+            numbers.push(data.value);
+        }, { filter: Match.ObjectIncluding({ value: Number }) });
+
+        messenger.postMessage('change', { type: 'removed', value: 1 });
+        assert.deepEqual(messenger.getSubscribers('change')[0].options.filter, isAdded);
+
+        messenger.postMessage('change', { type: 'added', value: 'a' });
+        messenger.postMessage('change', { type: 'added', value: 2 });
+
+        assert.deepEqual(added, ['a']);
+        assert.deepEqual(numbers, [1, 2]);
+        assert.equal(messenger.getSubscribers('change').length, 1);
+    });
+
+
+    it('should return subscription handle if "subscription" option is passed', function() {
+        var messenger = new Messenger({}, undefined, undefined, { namespaces: true })
+            , posted = [];
+
+        var subscription = messenger.onSync('a b', function(msg) {
+            posted.push(msg);
+        }, { subscription: true });
+        assert(subscription instanceof Messenger.Subscription);
+        assert(subscription.isActive());
+
+        subscription.pause();
+        assert(! subscription.isActive());
+        messenger.postMessage('a');
+        subscription.resume();
+        messenger.postMessage('b');
+        assert.deepEqual(posted, ['b']);
+
+        assert.equal(subscription.unsubscribe(), true);
+        assert(! subscription.isActive());
+        assert.equal(messenger.getSubscribers('a'), undefined);
+        assert.equal(messenger.getSubscribers('b'), undefined);
+
+        var onceSubscription = messenger.onceSync('a.myplugin', function() {}, { subscription: true });
+        messenger.onSync('a', function() {});
+        assert(onceSubscription.isActive());
+        messenger.postMessage('a');
+        assert(! onceSubscription.isActive());
+        assert.equal(messenger.getSubscribers('a').length, 1);
+    });
+
+
+    it('should group subscriptions with CompositeSubscription', function() {
+        var messenger = new Messenger({})
+            , posted = [];
+
+        function logPost(msg) { posted.push(msg); }
+
+        var subscriptions = new Messenger.CompositeSubscription([
+            messenger.onSync('a', logPost, { subscription: true })
+        ]);
+        var messagesSubscription = messenger.onMessages({ b: logPost, c: logPost }, { subscription: true });
+        assert(messagesSubscription instanceof Messenger.CompositeSubscription);
+        subscriptions.add(messagesSubscription);
+        assert(subscriptions.isActive());
+
+        subscriptions.pause();
+        messenger.postMessageSync('a');
+        messenger.postMessageSync('b');
+        subscriptions.resume();
+        messenger.postMessageSync('c');
+        assert.deepEqual(posted, ['c']);
+
+        assert.equal(subscriptions.unsubscribe(), true);
+        assert(! subscriptions.isActive());
+        ['a', 'b', 'c'].forEach(function(msg) {
+            assert.equal(messenger.getSubscribers(msg), undefined);
+        });
+
+        var lateSubscription = messenger.onSync('d', logPost, { subscription: true });
+        subscriptions.add(lateSubscription);
+        assert(! lateSubscription.isActive());
+    });
+
+
+
+    it('should replay sticky messages to new subscribers', function(done) {
+        var messenger = new Messenger({})
+            , posted = [];
+
+        function logPost(msg, data) { posted.push({ msg: msg, data: data }); }
+
+        messenger.postMessageSync('ready', { state: 1 }, { sticky: true });
+        messenger.postMessageSync('ready', { state: 2 }, { sticky: true });
+        messenger.postMessageSync('other', { state: 3 });
+
+        assert.deepEqual(messenger.getStickyMessages(), [{ message: 'ready', data: { state: 2 } }]);
+
+        messenger.onSync('ready', logPost);
+        assert.deepEqual(posted, [{ msg: 'ready', data: { state: 2 } }]);
+
+        // already subscribed
+        messenger.onSync('ready', logPost);
+        assert.equal(posted.length, 1);
+
+        posted = [];
+        messenger.onSync(/rea/, logPost);
+        messenger.onSync('other', logPost);
+        assert.deepEqual(posted, [{ msg: 'ready', data: { state: 2 } }]);
+
+        messenger.clearStickyMessages('ready');
+        assert.deepEqual(messenger.getStickyMessages(), []);
+
+        messenger.offAll();
+        messenger.postMessage('ready', { state: 4 }, { sticky: true });
+        messenger.on('ready', function(msg, data) {
+            assert.deepEqual(data, { state: 4 });
+            done();
+        });
+    });
+
+
+    it('should retain sticky messages listed in options with replay buffer', function() {
+        var messenger = new Messenger({}, undefined, undefined, { stickyMessages: ['a', 'b'], replayBufferSize: 2 })
+            , posted = [];
+
+        function logPost(msg, data) { posted.push(msg + data); }
+
+        messenger.postMessageSync('a', 1);
+        messenger.postMessageSync('b', 2);
+        messenger.postMessageSync('c', 3);
+        messenger.postMessageSync('a', 4);
+        messenger.postMessageSync('a', 5);
+
+        assert.deepEqual(messenger.getStickyMessages('a'), [{ message: 'a', data: 4 }, { message: 'a', data: 5 }]);
+
+        messenger.onSync(/^[a-c]$/, logPost);
+        assert.deepEqual(posted, ['b2', 'a4', 'a5']);
+
+        posted = [];
+        messenger.onceSync('a', logPost);
+        assert.deepEqual(posted, ['a4']);
+        assert.equal(messenger.getSubscribers('a', false), undefined);
+
+        messenger.destroy();
+        assert.deepEqual(messenger.getStickyMessages(), []);
+    });
+
+
+    it('should resolve waitFor with sticky message', function() {
+        var messenger = new Messenger({})
+            , clock = milo.testing.clock.install();
+
+        try {
+            messenger.postMessageSync('ready', { state: 1 }, { sticky: true });
+            var promise = messenger.waitFor('ready', { timeout: 10 });
+                assert.equal(messenger.getSubscribers('ready'), undefined);
+                assert.deepEqual(messenger._asyncSubscriptions, []);
+
+            clock.runAll();
+        } finally {
+            clock.uninstall();
+        }
+
+        return promise.then(function(message) {
+            assert.deepEqual(message, { msg: 'ready', data: { state: 1 } });
+        });
+    });
+
+
+    it('should define request and handle methods', function() {
+        var host = {}
+            , messenger = new Messenger(host)
+            , observed = [];
+
+        messenger.onSync('getUser', function(msg, data) { observed.push(data.id); });
+        var subscription = messenger.handle('getUser', function(msg, data) {
+            assert.equal(this, host);
+            return Promise.resolve({ id: data.id, name: 'milo' });
+        });
+
+        assert.throws(function() {
+            messenger.handle('getUser', function() {});
+        });
+
+        return messenger.request('getUser', { id: 1 })
+        .then(function(user) {
+            assert.deepEqual(user, { id: 1, name: 'milo' });
+            assert.deepEqual(observed, [1]);
+
+            subscription.unsubscribe();
+            messenger.handle('getUser', function() {});
+            return messenger.request('getUser', { id: 2 });
+        })
+        .then(function() {
+            throw new Error('should be rejected');
+        }, function(error) {
+            assert(/no response/.test(error.message));
+        });
+    });
+
+
+    it('should stop calling subscribers after the first response in "first" mode', function() {
+        var messenger = new Messenger({})
+            , called = [];
+
+        messenger.onSync('count', function() { called.push('observer'); });
+        messenger.onSync('count', function() { called.push(1); return 1; });
+        messenger.onSync(/cou/, function() { called.push(2); return 2; });
+
+        return messenger.request('count')
+        .then(function(response) {
+            assert.equal(response, 1);
+            assert.deepEqual(called, ['observer', 1]);
+        });
+    });
+
+
+    it('should post requests to recorders and hooks', function() {
+        var messenger = new Messenger({})
+            , recorder = new Messenger.Recorder
+            , posted = [];
+
+        recorder.attach(messenger, 'm');
+        var hook = Messenger.addHook({
+            beforePost: function(m, msg, data, sync) { posted.push([msg, data, sync]); }
+        });
+        messenger.handle('getUser', function(msg, data) { return data.id; });
+
+        try {
+            var promise = messenger.request('getUser', { id: 1 });
+        } finally {
+            Messenger.removeHook(hook);
+            recorder.detachAll();
+        }
+
+            assert.deepEqual(posted, [['getUser', { id: 1 }, true]]);
+            assert.deepEqual(recorder.getEntries().map(function(entry) {
+                return [entry.messenger, entry.message, entry.data, entry.sync];
+            }), [['m', 'getUser', { id: 1 }, true]]);
+
+        return promise.then(function(response) {
+            assert.equal(response, 1);
+        });
+    });
+
+
+    it('should aggregate responses in "all" mode and reject on timeout and exception', function() {
+        var messenger = new Messenger({});
+
+        messenger.onSync('count', function() { return 1; });
+        messenger.onSync(/cou/, function() { return Promise.resolve(2); });
+        messenger.handle('wait', function() { return new Promise(function() {}); });
+        messenger.handle('fail', function() { throw new Error('failed'); });
+
+        return messenger.request('count', undefined, { mode: 'all' })
+        .then(function(responses) {
+            assert.deepEqual(responses, [1, 2]);
+
+            var clock = milo.testing.clock.install();
+            try {
+                var promise = messenger.request('wait', undefined, { timeout: 10 });
+                clock.tick(10);
+            } finally {
+                clock.uninstall();
+            }
+            return promise;
+        })
+        .then(function() {
+            throw new Error('should be rejected');
+        }, function(error) {
+            assert(/timeout/.test(error.message));
+            return messenger.request('fail');
+        })
+        .then(function() {
+            throw new Error('should be rejected');
+        }, function(error) {
+            assert.equal(error.message, 'failed');
+        });
+    });
+
+
+
+    it('should call global hooks', function() {
+        var messenger = new Messenger({}, undefined, undefined, { namespaces: true })
+            , calls = [];
+
+        function subscriber() {}
+        function subscriber2() {}
+
+        var hook = Messenger.addHook({
+            beforePost: function(m, msg, data, sync) { calls.push(['beforePost', msg, data, sync]); },
+            afterPost: function(m, msg, data, sync, cancelled) { calls.push(['afterPost', msg, cancelled]); },
+            beforeCall: function(m, msg, data, subscr) { calls.push(['beforeCall', msg, subscr.subscriber]); },
+            afterCall: function(m, msg, data, subscr) { calls.push(['afterCall', msg, subscr.subscriber]); },
+            onSubscribe: function(m, msg, subscr) { calls.push(['onSubscribe', msg, subscr.subscriber]); },
+            onUnsubscribe: function(m, msg, subscr) {
+                assert.equal(m, messenger);
+                calls.push(['onUnsubscribe', msg, subscr.subscriber]);
+            }
+        });
+
+        try {
+            messenger.onSync('a', subscriber);
+            messenger.onSync('a.ns', subscriber2);
+            messenger.postMessage('a', 1);
+            messenger.off('.ns');
+            messenger.off('a', subscriber);
+        } finally {
+            assert.equal(Messenger.removeHook(hook), true);
+        }
+
+        messenger.onSync('b', subscriber);
+        messenger.postMessage('b');
+
+        assert.deepEqual(calls, [
+            ['onSubscribe', 'a', subscriber],
+            ['onSubscribe', 'a', subscriber2],
+            ['beforePost', 'a', 1, false],
+            ['beforeCall', 'a', subscriber],
+            ['afterCall', 'a', subscriber],
+            ['beforeCall', 'a', subscriber2],
+            ['afterCall', 'a', subscriber2],
+            ['afterPost', 'a', false],
+            ['onUnsubscribe', 'a', subscriber2],
+            ['onUnsubscribe', 'a', subscriber]
+        ]);
+    });
+
+
     function getHostWithMessengerFail() {
         var HostFail = function(){};
         HostFail.prototype.on = function(){/*Fails*/};
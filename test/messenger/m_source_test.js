@@ -57,6 +57,21 @@ describe('MessageSource class', function() {
     });
 
 
+    it('should subscribe to source once for namespaced subscriptions', function() {
+        messenger = new Messenger(host, undefined, myMessageSource, { namespaces: true });
+
+        messenger.on('event1.ns1', handler1);
+        messenger.on('event1.ns2', handler2);
+            assert.equal(sourceMsngr.getSubscribers('event1').length, 1);
+
+        messenger.off('.ns1');
+            assert.equal(sourceMsngr.getSubscribers('event1').length, 1);
+
+        messenger.off('.ns2');
+            assert.equal(sourceMsngr.getSubscribers('event1'), undefined);
+    });
+
+
     it('should dispatch on Messenger when dispatched on source', function(done) {
         // check that there are no subscription on source
         assert.equal(sourceMsngr.getSubscribers('event1'), undefined);
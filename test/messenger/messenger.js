@@ -399,6 +399,77 @@ var messengerTests = module.exports = function(getHostWithMessenger) {
         }, 20);
     });
 
+    it('should call subscribers in the order of priority', function() {
+        var result = getHostWithMessenger()
+            , host = result.host
+            , posted = [];
+
+        function render(msg) { posted.push('render'); }
+        function validate(msg) { posted.push('validate'); }
+        function log(msg) { posted.push('log'); }
+        function patternSubscriber(msg) { posted.push('pattern'); }
+        function last(msg) { posted.push('last'); }
+
+        host.onSync('event', render);
+        host.onSync('event', last, { priority: -1 });
+        host.onSync('event', { subscriber: validate, context: host, options: { priority: 10 } });
+        host.onSync('event', log);
+        host.onSync(/ev/, patternSubscriber, { priority: 5 });
+
+        host.post('event');
+
+            assert.deepEqual(posted, ['validate', 'pattern', 'render', 'log', 'last']);
+
+            assert.deepEqual(host.getListeners('event'), [
+                { subscriber: validate, context: host, options: { priority: 10, sync: true } },
+                { subscriber: patternSubscriber, context: host, options: { priority: 5, sync: true } },
+                { subscriber: render, context: host, options: { sync: true } },
+                { subscriber: log, context: host, options: { sync: true } },
+                { subscriber: last, context: host, options: { priority: -1, sync: true } }
+            ]);
+
+        assert.throws(function() {
+            host.on('event', render, { priority: 'high' });
+        });
+    });
+
+
+    it('should stop propagation of the message when subscriber calls stopPropagation', function(done) {
+        var result = getHostWithMessenger()
+            , host = result.host
+            , posted = [];
+
+        function validate(msg, data, callback, dispatch) {
+            posted.push('validate');
+            if (! data.valid) dispatch.stopPropagation();
+        }
+        function render(msg) { posted.push('render'); }
+        function patternSubscriber(msg) { posted.push('pattern'); }
+        function asyncSubscriber(msg) { posted.push('async'); }
+
+        host.onSync('event', validate, { priority: 10 });
+        host.onSync('event', render);
+        host.onSync(/ev/, patternSubscriber);
+        host.onAsync('event', asyncSubscriber, { priority: 20 });
+
+        var cancelled = host.postMessageSync('event', { valid: false });
+            assert.equal(cancelled, true);
+            assert.deepEqual(posted, ['validate']);
+
+        posted = [];
+        cancelled = host.postMessageSync('event', { valid: true });
+            assert.equal(cancelled, false);
+            assert.deepEqual(posted, ['validate', 'render', 'pattern']);
+
+            assert.equal(host.postMessageSync('other'), false);
+
+        _.delay(function() {
+            assert.deepEqual(posted, ['validate', 'render', 'pattern', 'async']);
+            done();
+        }, 20);
+    });
+
+
     it('should unsubscribe all events when disposed', function () {
         var result = getHostWithMessenger()
             , host = result.host
@@ -0,0 +1,251 @@
+'use strict';
+
+var milo = require('../../lib/milo-core')
+    , Messenger = milo.Messenger
+    , Model = milo.Model
+    , PortMessageSource = milo.classes.PortMessageSource
+    , assert = require('assert')
+    , _ = require('protojs');
+
+
+describe('PortMessageSource', function() {
+    var ports, remoteMessenger, server, host, messenger, posted;
+
+    beforeEach(function() {
+        ports = createChannel();
+        remoteMessenger = new Messenger;
+        server = PortMessageSource.serve(remoteMessenger, ports[1]);
+
+        host = {};
+        var mSource = new PortMessageSource(host, undefined, undefined, ports[0]);
+        messenger = new Messenger(host, undefined, mSource);
+        posted = [];
+    });
+
+    afterEach(function() {
+        server.destroy();
+    });
+
+    function logPost(msg, data) {
+        posted.push({ msg: msg, data: data });
+    }
+
+
+    it('should subscribe to messenger on the other side of the channel', function(done) {
+        messenger.on('event', logPost);
+
+        _.defer(function() {
+            assert.equal(remoteMessenger.getSubscribers('event').length, 1);
+            remoteMessenger.postMessageSync('event', { test: 1 });
+            remoteMessenger.postMessageSync('other', { test: 2 });
+
+            _.defer(function() {
+                assert.deepEqual(posted, [{ msg: 'event', data: { test: 1 } }]);
+                done();
+            });
+        });
+    });
+
+
+    it('should subscribe once and unsubscribe when the last subscriber is removed', function(done) {
+        function logPost2() {}
+        messenger.on('event', logPost);
+        messenger.on('event', logPost2);
+
+        _.defer(function() {
+            assert.equal(remoteMessenger.getSubscribers('event').length, 1);
+            messenger.off('event', logPost);
+
+            _.defer(function() {
+                assert.equal(remoteMessenger.getSubscribers('event').length, 1);
+                messenger.off('event', logPost2);
+
+                _.defer(function() {
+                    assert.equal(remoteMessenger.getSubscribers('event'), undefined);
+                    done();
+                });
+            });
+        });
+    });
+
+
+    it('should encode data of special types and remove functions', function(done) {
+        messenger.on('event', logPost);
+        var date = new Date(2016, 0, 1);
+
+        _.defer(function() {
+            remoteMessenger.postMessageSync('event', {
+                date: date,
+                items: new Set([1, 2]),
+                callback: function() {}
+            });
+
+            _.defer(function() {
+                var data = posted[0].data;
+                assert(data.date instanceof Date);
+                assert.equal(data.date.getTime(), date.getTime());
+                assert(data.items instanceof Set);
+                assert.deepEqual(Array.from(data.items), [1, 2]);
+                assert(! data.hasOwnProperty('callback'));
+                done();
+            });
+        });
+    });
+
+
+    it('should pass string data without parsing it', function(done) {
+        messenger.on('event', logPost);
+
+        _.defer(function() {
+            remoteMessenger.postMessageSync('event', '{"a":1}');
+
+            _.defer(function() {
+                assert.deepEqual(posted, [{ msg: 'event', data: '{"a":1}' }]);
+                done();
+            });
+        });
+    });
+
+
+    it('should post messages on messenger on the other side with trigger', function(done) {
+        remoteMessenger.onSync('event', logPost);
+        messenger.getMessageSource().trigger('event', { test: 1 });
+
+        _.defer(function() {
+            assert.deepEqual(posted, [{ msg: 'event', data: { test: 1 } }]);
+            done();
+        });
+    });
+
+
+    it('should ignore messages of other channels', function(done) {
+        var mSource2 = new PortMessageSource(undefined, undefined, undefined, ports[0], { channel: 'other' })
+            , messenger2 = new Messenger(undefined, undefined, mSource2);
+        messenger2.on('event', logPost);
+
+        _.defer(function() {
+            assert.equal(remoteMessenger.getSubscribers('event'), undefined);
+            messenger2.destroy();
+            done();
+        });
+    });
+
+
+    it('should unsubscribe on the other side when destroyed', function(done) {
+        messenger.on('event', logPost);
+
+        _.defer(function() {
+            assert.equal(remoteMessenger.getSubscribers('event').length, 1);
+            messenger.destroy();
+
+            _.defer(function() {
+                assert.equal(remoteMessenger.getSubscribers('event'), undefined);
+                done();
+            });
+        });
+    });
+
+
+    it('should remove subscriptions when server is destroyed', function(done) {
+        messenger.on('event', logPost);
+
+        _.defer(function() {
+            server.destroy();
+            assert.equal(remoteMessenger.getSubscribers('event'), undefined);
+            done();
+        });
+    });
+
+
+    it('should connect model over worker_threads MessageChannel in both directions', function() {
+        var MessageChannel = require('worker_threads').MessageChannel
+            , channel = new MessageChannel
+            , model = new Model
+            , modelServer = PortMessageSource.serve(model, channel.port2)
+            , remoteModel = PortMessageSource.connect(channel.port1)
+            , localModel = new Model
+            , localChanges = 0;
+
+        milo.minder(localModel, '<<<->>>', remoteModel);
+        localModel.onSync('datachanges', function() { localChanges++; });
+
+        var modelChanged = model._messenger.waitFor('.info.name');
+        localModel('.info.name').set('milo');
+
+        return modelChanged
+        .then(function(message) {
+            assert.equal(message.data.newValue, 'milo');
+            assert.deepEqual(model.get(), { info: { name: 'milo' } });
+
+            var localChanged = localModel._messenger.waitFor('.info.age');
+            model('.info.age').set(2);
+            return localChanged;
+        })
+        .then(function() {
+            assert.deepEqual(localModel.get(), { info: { name: 'milo', age: 2 } });
+            assert.deepEqual(model.get(), { info: { name: 'milo', age: 2 } });
+
+            var closed = new Promise(function(resolve) { channel.port2.once('close', resolve); });
+            channel.port1.close();
+            return closed;
+        })
+        .then(function() {
+            // local change, then remote change and the end of its transaction, no changes were sent back
+            assert.equal(localChanges, 3);
+            modelServer.destroy();
+        });
+    });
+
+
+    it('should send "changedata" posted on connected object to the other side', function(done) {
+        var model = new Model({ list: [1] })
+            , modelServer = PortMessageSource.serve(model, ports[1])
+            , remoteModel = PortMessageSource.connect(ports[0])
+            , callbackCalls = [];
+
+        remoteModel.postMessageSync('changedata', {
+            changes: [{ path: '.list', type: 'changed', oldValue: [1], newValue: [1, 2], source: remoteModel }]
+        }, function(err, changeFinished) {
+            callbackCalls.push(changeFinished);
+        });
+
+            assert.deepEqual(callbackCalls, [false, true]);
+
+        model.onSync('changecompleted', function() {
+            assert.deepEqual(model.get(), { list: [1, 2] });
+            modelServer.destroy();
+            done();
+        });
+    });
+});
+
+
+/**
+ * Creates a pair of connected stub ports that pass messages asynchronously as JSON
+ */
+function createChannel() {
+    var port1 = createPort()
+        , port2 = createPort();
+    port1.other = port2;
+    port2.other = port1;
+    return [port1, port2];
+
+    function createPort() {
+        var listeners = [];
+        return {
+            postMessage: function(data) {
+                var other = this.other
+                    , cloned = JSON.parse(JSON.stringify(data));
+                setTimeout(function() {
+                    other.listeners.slice().forEach(function(listener) { listener(cloned); });
+                });
+            },
+            on: function(event, listener) { listeners.push(listener); },
+            removeListener: function(event, listener) {
+                var index = listeners.indexOf(listener);
+                if (index >= 0) listeners.splice(index, 1);
+            },
+            listeners: listeners
+        };
+    }
+}
@@ -0,0 +1,137 @@
+'use strict';
+
+var milo = require('../../lib/milo-core')
+    , Messenger = milo.Messenger
+    , Recorder = Messenger.Recorder
+    , assert = require('assert');
+
+
+describe('Messenger.Recorder', function() {
+    var messenger1, messenger2, recorder;
+
+    beforeEach(function() {
+        messenger1 = new Messenger;
+        messenger2 = new Messenger;
+        recorder = new Recorder({ filter: /^data/ });
+        recorder.attach(messenger1, 'm1');
+        recorder.attach(messenger2, 'm2');
+    });
+
+    afterEach(function() {
+        recorder.detachAll();
+    });
+
+
+    it('should record messages posted on attached messengers', function() {
+        var date = new Date(2016, 0, 1);
+        messenger1.postMessage('data1', { value: 1 });
+        messenger2.postMessageSync('data2', { date: date });
+        messenger1.postMessage('other', 3);
+
+        var entries = recorder.getEntries();
+        assert.equal(entries.length, 2);
+        assert.deepEqual(entries.map(function(entry) {
+            return [entry.messenger, entry.message, entry.sync];
+        }), [['m1', 'data1', false], ['m2', 'data2', true]]);
+        assert.deepEqual(entries[0].data, { value: 1 });
+        assert.equal(typeof entries[0].time, 'number');
+
+        assert.deepEqual(recorder.getEntries(/2$/).length, 1);
+
+        recorder.detach(messenger1);
+        messenger1.postMessage('data1', { value: 1 });
+        assert.equal(recorder.getEntries().length, 2);
+        assert.deepEqual(messenger1._recorders, []);
+
+        var player = new Recorder;
+        player.importJSON(recorder.exportJSON());
+        assert.deepEqual(player.getEntries(), recorder.getEntries());
+    });
+
+
+    it('should replay recording into messengers', function() {
+        messenger1.postMessageSync('data1', { date: new Date(2016, 0, 1) });
+        messenger2.postMessageSync('data2', 'two');
+        messenger1.postMessageSync('data3', 3);
+
+        var player = new Recorder
+            , target = new Messenger
+            , posted = [];
+        player.importJSON(recorder.exportJSON());
+
+        target.onSync(/.*/, function(msg, data) {
+            posted.push({ msg: msg, data: data });
+        });
+
+        return player.replay({ m1: target }, { speed: Infinity })
+        .then(function() {
+            assert.equal(posted.length, 2);
+            assert.equal(posted[0].msg, 'data1');
+            assert(posted[0].data.date instanceof Date);
+            assert.deepEqual(posted[1], { msg: 'data3', data: 3 });
+
+            posted = [];
+            return player.replay(target, { filter: /2$/ });
+        })
+        .then(function() {
+            assert.deepEqual(posted, [{ msg: 'data2', data: 'two' }]);
+        });
+    });
+
+
+    it('should replay into attached messengers without recording', function() {
+        var clock = milo.testing.clock.install()
+            , posted = [];
+        try {
+            messenger1.postMessageSync('data1', 1);
+            clock.tick(10);
+            messenger2.postMessage('data2', 2);
+        } finally {
+            clock.uninstall();
+        }
+
+        messenger1.onSync('data1', function(msg, data) { posted.push([msg, data]); });
+        messenger2.onSync('data2', function(msg, data) { posted.push([msg, data]); });
+
+        return recorder.replay(undefined, { speed: 2 })
+        .then(function() {
+            assert.deepEqual(posted, [['data1', 1], ['data2', 2]]);
+            assert.equal(recorder.getEntries().length, 2);
+
+            messenger1.postMessageSync('data3', 3);
+            assert.equal(recorder.getEntries().length, 3);
+        });
+    });
+
+
+    it('should replay messages keeping intervals divided by speed', function() {
+        var player = new Recorder
+            , target = new Messenger
+            , clock = milo.testing.clock.install()
+            , times = [];
+        player.importJSON([
+            { messenger: 'm1', message: 'a', sync: true, time: 1000 },
+            { messenger: 'm1', message: 'b', sync: true, time: 1100 },
+            { messenger: 'm1', message: 'c', sync: true, time: 1100 }
+        ]);
+
+        target.onSync('a b c', function(msg) {
+            times.push([msg, clock.now()]);
+        });
+
+        try {
+            var promise = player.replay(target, { speed: 2 });
+                assert.deepEqual(times, [['a', 0]]);
+
+            clock.tick(49);
+                assert.deepEqual(times, [['a', 0]]);
+
+            clock.tick(1);
+                assert.deepEqual(times, [['a', 0], ['b', 50], ['c', 50]]);
+        } finally {
+            clock.uninstall();
+        }
+
+        return promise;
+    });
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+var milo = require('../../lib/milo-core')
+    , Messenger = milo.Messenger
+    , Scheduler = Messenger.Scheduler
+    , assert = require('assert');
+
+
+describe('Messenger scheduler', function() {
+    it('should call asynchronous subscribers using scheduler passed in options', function() {
+        var scheduler = new Scheduler.Manual
+            , messenger = new Messenger({}, undefined, undefined, { scheduler: scheduler })
+            , posted = [];
+
+        messenger.on('event', function(msg, data) { posted.push(data); });
+        messenger.postMessage('event', 1);
+        messenger.postMessage('event', 2);
+
+            assert.deepEqual(posted, []);
+            assert.equal(scheduler.pendingCount(), 2);
+
+        scheduler.step();
+            assert.deepEqual(posted, [1]);
+
+            assert.equal(scheduler.flush(), 1);
+            assert.deepEqual(posted, [1, 2]);
+            assert.equal(scheduler.step(), false);
+    });
+
+
+    it('should use default scheduler set with useScheduler', function() {
+        var scheduler = new Scheduler.Manual
+            , posted = [];
+
+        Messenger.useScheduler(scheduler);
+        try {
+            var messenger = new Messenger({});
+            messenger.on('event', function(msg) { posted.push(msg); });
+            messenger.postMessage('event');
+        } finally {
+            Messenger.useScheduler();
+        }
+
+            assert.deepEqual(posted, []);
+        scheduler.flush();
+            assert.deepEqual(posted, ['event']);
+    });
+
+
+    it('should call batched tasks together', function(done) {
+        var messenger = new Messenger({}, undefined, undefined, { scheduler: 'batching' })
+            , posted = [];
+
+        messenger.on('event', function(msg, data) {
+            posted.push(data);
+            if (data == 1) messenger.postMessage('event', 3);
+        });
+        messenger.postMessage('event', 1);
+        messenger.postMessage('event', 2);
+
+        setTimeout(function() {
+            assert.deepEqual(posted, [1, 2]);
+            setTimeout(function() {
+                assert.deepEqual(posted, [1, 2, 3]);
+                done();
+            });
+        });
+    });
+
+
+    it('should support microtask scheduler', function() {
+        var messenger = new Messenger({}, undefined, undefined, { scheduler: 'microtask' })
+            , posted = [];
+
+        messenger.on('event', function(msg) { posted.push(msg); });
+        messenger.postMessage('event');
+
+            assert.deepEqual(posted, []);
+
+        return Promise.resolve().then(function() {
+            assert.deepEqual(posted, ['event']);
+        });
+    });
+
+
+    it('should throw on unknown scheduler', function() {
+        assert.throws(function() {
+            new Messenger({}, undefined, undefined, { scheduler: 'unknown' });
+        }, /unknown scheduler/);
+
+        assert.throws(function() {
+            Messenger.useScheduler({});
+        });
+    });
+
+
+    it('should defer delayed calls using default scheduler', function() {
+        var clock = milo.testing.clock.install()
+            , called = [];
+
+        try {
+            Scheduler.defer(function() { called.push('b'); }, 20);
+            var timer = Scheduler.defer(function() { called.push('cancelled'); }, 10);
+            Scheduler.defer(function() { called.push('a'); });
+
+            clock.tick();
+                assert.deepEqual(called, ['a']);
+
+            timer.cancel();
+            clock.tick(20);
+                assert.deepEqual(called, ['a', 'b']);
+        } finally {
+            clock.uninstall();
+        }
+    });
+
+
+    it('should call delayed tasks after delay', function(done) {
+        var called = [];
+
+        ['setTimeout', 'setImmediate', 'microtask', 'batching'].forEach(function(name) {
+            Scheduler[name].schedule(function() { called.push(name); }, 10);
+        });
+
+        setTimeout(function() {
+                assert.deepEqual(called, []);
+        }, 5);
+
+        setTimeout(function() {
+            assert.equal(called.length, 4);
+            done();
+        }, 30);
+    });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+
+var milo = require('../../lib/milo-core')
+    , Model = milo.Model
+    , assert = require('assert')
+    , _ = require('protojs');
+
+
+describe('Model batch', function() {
+    it('should post all changes in one "datachanges" message', function() {
+        var m = new Model({ a: 1 })
+            , batches = []
+            , messages = [];
+
+        m.onSync('datachanges', function(msg, batch) {
+            batches.push(batch);
+        });
+        m.onSync('.a', function(msg, data) {
+            messages.push(data);
+        });
+
+        var result = m.batch(function() {
+            m('.a').set(2);
+            m('.a').set(3);
+            m('.b').set('x');
+            m('.c').set(1);
+            m('.c').del();
+                assert.deepEqual(batches, []);
+            return 'done';
+        });
+
+            assert.equal(result, 'done');
+            assert.deepEqual(m.get(), { a: 3, b: 'x' });
+            assert.deepEqual(batches, [{
+                changes: [
+                    { path: '.a', type: 'changed', oldValue: 1, newValue: 3 },
+                    { path: '.b', type: 'added', newValue: 'x' }
+                ],
+                transaction: true
+            }, { changes: [], transaction: false }]);
+            assert.deepEqual(messages, [{ path: '.a', type: 'changed', oldValue: 1, newValue: 3 }]);
+    });
+
+
+    it('should remove changes that have no effect', function() {
+        var m = new Model({ a: 1 })
+            , batches = [];
+
+        m.onSync('datachanges', function(msg, batch) {
+            batches.push(batch);
+        });
+
+        m.batch(function() {
+            m('.a').set(2);
+            m('.a').set(1);
+        });
+
+            assert.deepEqual(batches, []);
+    });
+
+
+    it('should support nested batches and ModelPath batch', function() {
+        var m = new Model
+            , batches = [];
+
+        m.onSync('datachanges', function(msg, batch) {
+            batches.push(batch);
+        });
+
+        m('.info').batch(function() {
+            this('.name').set('milo');
+            m.batch(function() {
+                m('.info.age').set(1);
+            });
+                assert.deepEqual(batches, []);
+        });
+
+            assert.equal(batches.length, 2);
+            assert.deepEqual(m.get(), { info: { name: 'milo', age: 1 } });
+    });
+
+
+    it('should post changes made before exception', function() {
+        var m = new Model({})
+            , batches = [];
+
+        m.onSync('datachanges', function(msg, batch) {
+            batches.push(batch);
+        });
+
+        assert.throws(function() {
+            m.batch(function() {
+                m('.a').set(1);
+                throw new Error('test');
+            });
+        }, /test/);
+
+            assert.deepEqual(batches, [
+                { changes: [{ path: '.a', type: 'added', newValue: 1 }], transaction: true },
+                { changes: [], transaction: false }
+            ]);
+            assert.equal(m._batch, undefined);
+    });
+
+
+    it('should apply batch to connected model', function(done) {
+        var m1 = new Model({ list: [] })
+            , m2 = new Model({ list: [] });
+
+        milo.minder(m1, '->>>', m2);
+
+        m1.batch(function() {
+            m1('.info').set({ name: 'milo' });
+            m1('.info.name').set('jason');
+            m1('.info.list').push(1, 2);
+            m1('.info.list').push(3);
+            m1('.info.list[0]').set(0);
+            m1('.list').push({ a: 1 });
+            m1('.list').push({ a: 2 });
+            m1('.list[0].a').set(3);
+            m1('.other').set(1);
+        });
+
+        _.defer(function() {
+            assert.deepEqual(m2.get(), {
+                info: { name: 'jason', list: [0, 2, 3] },
+                list: [{ a: 3 }, { a: 2 }],
+                other: 1
+            });
+            done();
+        });
+    });
+
+
+    it('should record batch as one history entry', function() {
+        var m = new Model({ a: 1 })
+            , history = new Model.History(m);
+
+        m.batch(function() {
+            m('.a').set(2);
+            m('.b').set(3);
+        });
+
+        history.undo();
+            assert.deepEqual(m.get(), { a: 1 });
+    });
+
+
+    it('should collapse splices into the change of the array', function() {
+        var m = new Model({ list: [{ a: 1 }] })
+            , history = new Model.History(m)
+            , batches = [];
+
+        m.onSync('datachanges', function(msg, batch) {
+            batches.push(batch);
+        });
+
+        m.batch(function() {
+            m('.list').push({ a: 2 });
+            m('.list[0].a').set(3);
+            m('.list').splice(1, 1);
+            m('.name').set('milo');
+        });
+
+            assert.deepEqual(batches[0].changes, [
+                { path: '.list', type: 'changed', oldValue: [{ a: 1 }], newValue: [{ a: 3 }] },
+                { path: '.list[1]', type: 'added', newValue: { a: 2 } },
+                { path: '.list[1].a', type: 'added', newValue: 2 },
+                { path: '.list[0].a', type: 'changed', oldValue: 1, newValue: 3 },
+                { path: '.list[1]', type: 'removed', oldValue: { a: 2 } },
+                { path: '.list[1].a', type: 'removed', oldValue: 2 },
+                { path: '.name', type: 'added', newValue: 'milo' }
+            ]);
+            assert.equal(batches[0].transaction, true);
+            assert.deepEqual(batches[1], { changes: [], transaction: false });
+
+        history.undo();
+            assert.deepEqual(m.get(), { list: [{ a: 1 }] });
+        history.redo();
+            assert.deepEqual(m.get(), { list: [{ a: 3 }], name: 'milo' });
+    });
+});
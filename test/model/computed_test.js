@@ -0,0 +1,203 @@
+'use strict';
+
+
+var milo = require('../../lib/milo-core')
+    , Model = milo.Model
+    , assert = require('assert')
+    , _ = require('protojs');
+
+
+describe('Model computed properties', function() {
+    function sumPrices(items) {
+        return (items || []).reduce(function(total, item) {
+            return total + (item.price || 0);
+        }, 0);
+    }
+
+
+    it('should compute value from dependencies with "*" segments', function() {
+        var m = new Model({ order: { items: [{ price: 1 }, { price: 2 }] } })
+            , posted = [];
+
+        m.computed('.order.total', ['.order.items[*].price'], sumPrices);
+
+            assert.equal(m('.order.total').get(), 3);
+
+        m.onSync('.order.total', function(msg, data) {
+            posted.push(data);
+        });
+
+        m('.order.items[1].price').set(5);
+            assert.equal(m('.order.total').get(), 6);
+
+        m('.order.items').push({ price: 4 });
+            assert.equal(m('.order.total').get(), 10);
+
+        m('.order.items').splice(0, 1);
+            assert.equal(m('.order.total').get(), 9);
+
+            assert.deepEqual(posted, [
+                { path: '.order.total', type: 'changed', oldValue: 3, newValue: 6 },
+                { path: '.order.total', type: 'changed', oldValue: 6, newValue: 10 },
+                { path: '.order.total', type: 'changed', oldValue: 10, newValue: 9 }
+            ]);
+    });
+
+
+    it('should pass values of all dependencies and model as context', function() {
+        var m = new Model({ first: 'Milo', last: 'Jason' });
+
+        m.computed('.fullName', ['.first', '.last'], function(first, last) {
+            assert.equal(this, m);
+            return first + ' ' + last;
+        });
+
+        m('.last').set('Smith');
+            assert.equal(m('.fullName').get(), 'Milo Smith');
+    });
+
+
+    it('should prevent writes to computed paths', function() {
+        var m = new Model({ a: 1 });
+        m.computed('.b.c', ['.a'], function(a) { return { value: a * 2 }; });
+
+        assert.throws(function() { m('.b.c').set(1); }, /can't write to computed path \.b\.c/);
+        assert.throws(function() { m('.b.c.value').set(1); }, /computed path/);
+        assert.throws(function() { m('.b.c').del(); }, /computed path/);
+        assert.throws(function() { m('.b.c').push(1); }, /computed path/);
+
+            assert.deepEqual(m.get(), { a: 1, b: { c: { value: 2 } } });
+
+        m('.b').set({ c: 5 });
+            assert.deepEqual(m.get(), { a: 1, b: { c: { value: 2 } } });
+
+        m.removeComputed('.b.c');
+        m('.b.c').set(1);
+        m('.a').set(2);
+            assert.deepEqual(m.get(), { a: 2, b: { c: 1 } });
+    });
+
+
+    it('should recompute chained computed properties', function() {
+        var m = new Model({ price: 10, quantity: 2 });
+
+        m.computed('.total', ['.price', '.quantity'], function(price, quantity) { return price * quantity; });
+        m.computed('.withTax', ['.total'], function(total) { return total * 1.5; });
+
+        m('.quantity').set(3);
+            assert.deepEqual(m.get(), { price: 10, quantity: 3, total: 30, withTax: 45 });
+    });
+
+
+    it('should throw on circular dependencies', function() {
+        var m = new Model({ a: 1 });
+
+        m.computed('.b', ['.a', '.c'], function(a, c) { return a + (c || 0); });
+        m.computed('.c', ['.d'], function(d) { return d; });
+
+        assert.throws(function() {
+            m.computed('.d', ['.b'], function(b) { return b; });
+        }, /circular dependency \.d -> \.c -> \.b -> \.d/);
+
+        assert.throws(function() {
+            m.computed('.e', ['.*'], function() {});
+        }, /circular dependency \.e -> \.e/);
+    });
+
+
+    it('should recompute lazy properties once after changes', function(done) {
+        var m = new Model({ list: [] })
+            , calls = 0;
+
+        m.computed('.count', ['.list'], function(list) {
+            calls++;
+            return list.length;
+        }, { lazy: true });
+
+        m('.list').push(1);
+        m('.list').push(2);
+
+            assert.equal(m('.count').get(), 0);
+
+        _.defer(function() {
+            assert.equal(m('.count').get(), 2);
+            assert.equal(calls, 2);
+            done();
+        });
+    });
+
+
+    it('should propagate computed values via minder connections', function(done) {
+        var m1 = new Model({ a: 1 })
+            , m2 = new Model;
+
+        m1.computed('.double', ['.a'], function(a) { return a * 2; });
+        milo.minder(m1, '->>', m2);
+
+        m1('.a').set(5);
+
+        _.defer(function() {
+            assert.deepEqual(m2.get(), { a: 5, double: 10 });
+            done();
+        });
+    });
+
+
+    it('should record recomputed value in the history entry of dependency change', function() {
+        var m = new Model({ order: { items: [{ price: 1 }, { price: 2 }] } })
+            , history = new Model.History(m);
+
+        m.computed('.order.total', ['.order.items[*].price'], sumPrices);
+        history.clear();
+
+        m('.order.items[0].price').set(5);
+            assert.equal(m('.order.total').get(), 7);
+
+        assert(history.undo());
+            assert.deepEqual(m.get(), { order: { items: [{ price: 1 }, { price: 2 }], total: 3 } });
+            assert.equal(history.canUndo(), false);
+
+        assert(history.redo());
+            assert.deepEqual(m.get(), { order: { items: [{ price: 5 }, { price: 2 }], total: 7 } });
+    });
+
+
+    it('should recompute values when model is restored and patched', function() {
+        var m = new Model({ order: { items: [{ price: 1 }, { price: 2 }] } })
+            , history = new Model.History(m);
+
+        m.computed('.order.total', ['.order.items[*].price'], sumPrices);
+        var snapshot = m.snapshot();
+        history.clear();
+
+        m('.order.items').push({ price: 3 });
+            assert.equal(m('.order.total').get(), 6);
+
+        m.restore(snapshot);
+            assert.deepEqual(m.get(), { order: { items: [{ price: 1 }, { price: 2 }], total: 3 } });
+
+        m.applyPatch([
+            { path: '.order.items[1].price', type: 'changed', oldValue: 2, newValue: 4 },
+            { path: '.order.total', type: 'changed', oldValue: 3, newValue: 100 }
+        ]);
+            assert.deepEqual(m.get(), { order: { items: [{ price: 1 }, { price: 4 }], total: 5 } });
+
+        var other = new Model({ order: { items: [{ price: 10 }], total: 10 } });
+        m.applyPatch(Model.diff(m.get(), other.get()));
+            assert.deepEqual(m.get(), other.get());
+
+        history.undo();
+            assert.deepEqual(m.get(), { order: { items: [{ price: 1 }, { price: 4 }], total: 5 } });
+        history.undo();
+        history.undo();
+            assert.deepEqual(m.get(), { order: { items: [{ price: 1 }, { price: 2 }, { price: 3 }], total: 6 } });
+        history.undo();
+            assert.deepEqual(m.get(), { order: { items: [{ price: 1 }, { price: 2 }], total: 3 } });
+            assert.equal(history.canUndo(), false);
+    });
+
+
+    function sumPrices(items) {
+        return items.reduce(function(sum, item) { return sum + item.price; }, 0);
+    }
+});
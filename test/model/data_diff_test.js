@@ -0,0 +1,108 @@
+'use strict';
+
+
+var Model = require('../../lib/milo-core').Model
+    , assert = require('assert')
+    , _ = require('protojs');
+
+
+describe('Model.diff and applyPatch', function() {
+    it('should compute changes between two data trees', function() {
+        var changes = Model.diff(
+            { info: { name: 'milo', age: 1 }, list: [1, 2, 3], removed: true },
+            { info: { name: 'jason', age: 1 }, list: [1, 4], added: { a: 1 } }
+        );
+
+        assert.deepEqual(changes, [
+            { path: '.removed', type: 'removed', oldValue: true },
+            { path: '.info.name', type: 'changed', oldValue: 'milo', newValue: 'jason' },
+            { path: '.list[1]', type: 'changed', oldValue: 2, newValue: 4 },
+            { path: '.list', type: 'splice', index: 2, removed: [3], addedCount: 0, newValue: [1, 4] },
+            { path: '.added', type: 'added', newValue: { a: 1 } }
+        ]);
+    });
+
+
+    it('should return no changes for equal trees', function() {
+        var date = new Date(2016, 1, 1);
+        assert.deepEqual(Model.diff(
+            { list: [{ a: 1 }], date: date, re: /a/ },
+            { list: [{ a: 1 }], date: new Date(date), re: /a/ }
+        ), []);
+        assert.deepEqual(Model.diff(undefined, undefined), []);
+    });
+
+
+    it('should report changes of values with different types', function() {
+        assert.deepEqual(Model.diff({ a: [1] }, { a: { 0: 1 } }), [
+            { path: '.a', type: 'changed', oldValue: [1], newValue: { 0: 1 } }
+        ]);
+        assert.deepEqual(Model.diff(undefined, { a: 1 }), [
+            { path: '', type: 'added', newValue: { a: 1 } }
+        ]);
+    });
+
+
+    it('should report the whole object as changed if it has keys not allowed in paths', function() {
+        assert.deepEqual(Model.diff({ a: { 'b c': 1 } }, { a: { 'b c': 2 } }), [
+            { path: '.a', type: 'changed', oldValue: { 'b c': 1 }, newValue: { 'b c': 2 } }
+        ]);
+    });
+
+
+    it('should apply patch using accessors', function() {
+        var m = new Model
+            , oldData = { info: { name: 'milo' }, list: [1, 2, 3] }
+            , newData = { info: { name: 'jason', age: 2 }, list: [1] };
+
+        m.set(oldData);
+
+        var posted = [];
+        m.onSync('datachanges', function(msg, batch) {
+            posted.push(batch);
+        });
+
+        m.applyPatch(Model.diff(oldData, newData));
+
+            assert.deepEqual(m.get(), newData);
+            assert.deepEqual(posted[posted.length - 1], { changes: [], transaction: false });
+            assert(posted.slice(0, -1).every(function(batch) { return batch.transaction; }));
+    });
+
+
+    it('should apply batches posted by accessors', function() {
+        var m1 = new Model
+            , m2 = new Model;
+
+        m1.onSync('datachanges', function(msg, batch) {
+            m2.applyPatch(batch.changes);
+        });
+
+        m1('.info.list').push({ a: 1 }, { b: 2 });
+        m1('.info.list[0].a').set(3);
+        m1('.info.list').shift();
+        m1('.info.name').set('milo');
+        m1('.info.name').del();
+        m1('.extra').set({ x: [1, 2] });
+
+            assert.deepEqual(m2.get(), m1.get());
+    });
+
+
+    it('should apply patch to model path', function() {
+        var m = new Model;
+        m('.info').set({ name: 'milo' });
+
+        m('.info').applyPatch([{ path: '.name', type: 'changed', oldValue: 'milo', newValue: 'jason' }]);
+
+            assert.deepEqual(m.get(), { info: { name: 'jason' } });
+    });
+
+
+    it('should throw on unknown change type', function() {
+        var m = new Model;
+        assert.throws(function() {
+            m.applyPatch([{ path: '.a', type: 'moved' }]);
+        });
+    });
+});
@@ -0,0 +1,247 @@
+'use strict';
+
+
+var milo = require('../../lib/milo-core')
+    , Model = milo.Model
+    , assert = require('assert')
+    , _ = require('protojs');
+
+
+describe('Model.History', function() {
+    it('should undo and redo set', function() {
+        var m = new Model
+            , history = new Model.History(m);
+
+        m('.info.name').set('milo');
+        m('.info.name').set('jason');
+
+            assert(history.canUndo());
+            assert.equal(history.canRedo(), false);
+
+        assert(history.undo());
+            assert.deepEqual(m.get(), { info: { name: 'milo' } });
+            assert(history.canRedo());
+
+        assert(history.undo());
+            assert.equal(m.get(), undefined);
+            assert.equal(history.canUndo(), false);
+            assert.equal(history.undo(), false);
+
+        assert(history.redo());
+            assert.deepEqual(m.get(), { info: { name: 'milo' } });
+
+        assert(history.redo());
+            assert.deepEqual(m.get(), { info: { name: 'jason' } });
+            assert.equal(history.redo(), false);
+    });
+
+
+    it('should undo and redo del and subtree changes', function() {
+        var m = new Model({ info: { name: 'milo', list: [1, 2] } })
+            , history = new Model.History(m);
+
+        m('.info').set({ name: 'jason' });
+        m('.info.name').del();
+
+        history.undo();
+            assert.deepEqual(m.get(), { info: { name: 'jason' } });
+
+        history.undo();
+            assert.deepEqual(m.get(), { info: { name: 'milo', list: [1, 2] } });
+
+        history.redo();
+        history.redo();
+            assert.deepEqual(m.get(), { info: {} });
+    });
+
+
+    it('should undo and redo splice', function() {
+        var m = new Model
+            , history = new Model.History(m);
+
+        m('.list').push(1, 2, 3);
+        m('.list').splice(1, 1, 'a', 'b');
+        m('.list').shift();
+
+            assert.deepEqual(m('.list').get(), ['a', 'b', 3]);
+
+        history.undo();
+            assert.deepEqual(m('.list').get(), [1, 'a', 'b', 3]);
+
+        history.undo();
+            assert.deepEqual(m('.list').get(), [1, 2, 3]);
+
+        history.undo();
+            assert.equal(m.get(), undefined);
+
+        history.redo();
+        history.redo();
+            assert.deepEqual(m('.list').get(), [1, 'a', 'b', 3]);
+    });
+
+
+    it('should clear redo stack when model changes', function() {
+        var m = new Model({})
+            , history = new Model.History(m);
+
+        m('.a').set(1);
+        m('.b').set(2);
+        history.undo();
+            assert(history.canRedo());
+
+        m('.c').set(3);
+            assert.equal(history.canRedo(), false);
+
+        history.undo();
+        history.undo();
+            assert.deepEqual(m.get(), {});
+    });
+
+
+    it('should limit the number of entries with maxDepth', function() {
+        var m = new Model
+            , history = new Model.History(m, { maxDepth: 2 });
+
+        m('.a').set(1);
+        m('.a').set(2);
+        m('.a').set(3);
+
+        assert(history.undo());
+        assert(history.undo());
+        assert.equal(history.undo(), false);
+            assert.deepEqual(m.get(), { a: 1 });
+    });
+
+
+    it('should not record entries with maxDepth 0', function() {
+        var m = new Model
+            , history = new Model.History(m, { maxDepth: 0 });
+
+        m('.a').set(1);
+            assert.equal(history.maxDepth, 0);
+            assert.equal(history.canUndo(), false);
+    });
+
+
+    it('should keep entry in the stack if applying it throws', function() {
+        var m = new Model
+            , history = new Model.History(m)
+            , fail = true;
+
+        m('.a').set(1);
+        m.onSync('.a', function() {
+            if (fail) throw new Error('test error');
+        });
+
+        assert.throws(function() {
+            history.undo();
+        }, /test error/);
+            assert(history.canUndo());
+            assert.equal(history.canRedo(), false);
+
+        fail = false;
+        assert(history.undo());
+            assert.equal(m.get(), undefined);
+
+        fail = true;
+        assert.throws(function() {
+            history.redo();
+        }, /test error/);
+            assert(history.canRedo());
+
+        fail = false;
+        assert(history.redo());
+            assert.deepEqual(m.get(), { a: 1 });
+    });
+
+
+    it('should group batches in transaction into one entry', function() {
+        var m = new Model({})
+            , history = new Model.History(m);
+
+        m.postMessageSync('changedata', { changes: [
+            { path: '.a', type: 'added', newValue: 1 },
+            { path: '.b', type: 'added', newValue: 2 }
+        ] });
+
+            assert.deepEqual(m.get(), { a: 1, b: 2 });
+
+        history.undo();
+            assert.equal(history.canUndo(), false);
+            assert.deepEqual(m.get(), {});
+    });
+
+
+    it('should post reverted changes to subscribers', function() {
+        var m = new Model
+            , history = new Model.History(m)
+            , posted = [];
+
+        m('.info.name').set('milo');
+        m.onSync('.info.name', function(msg, data) {
+            posted.push(data);
+        });
+
+        history.undo();
+
+            assert.deepEqual(posted, [{ path: '.info.name', type: 'removed', oldValue: 'milo' }]);
+    });
+
+
+    it('should propagate undo via connector', function(done) {
+        var m1 = new Model
+            , m2 = new Model
+            , history = new Model.History(m1);
+
+        milo.minder(m1, '->', m2);
+
+        m1('.info.name').set('milo');
+        m1('.info.name').set('jason');
+        history.undo();
+
+        _.defer(function() {
+            assert.deepEqual(m2.get(), { info: { name: 'milo' } });
+            done();
+        });
+    });
+
+
+    it('should post messages when stack changes', function() {
+        var m = new Model
+            , history = new Model.History(m)
+            , posted = [];
+
+        history.onSync('recorded undone redone cleared', function(msg, data) {
+            posted.push({ msg: msg, data: data });
+        });
+
+        m('.a').set(1);
+        history.undo();
+        history.redo();
+        history.clear();
+
+            assert.deepEqual(posted, [
+                { msg: 'recorded', data: { canUndo: true, canRedo: false } },
+                { msg: 'undone', data: { canUndo: false, canRedo: true } },
+                { msg: 'redone', data: { canUndo: true, canRedo: false } },
+                { msg: 'cleared', data: { canUndo: false, canRedo: false } }
+            ]);
+    });
+
+
+    it('should stop recording when destroyed', function() {
+        var m = new Model
+            , history = new Model.History(m);
+
+        m('.a').set(1);
+        m('.b').set(2);
+        history.undo();
+        history.destroy();
+        m('.c').set(3);
+
+            assert.equal(history.canUndo(), false);
+            assert.equal(history.undo(), false);
+            assert.equal(history.redo(), false);
+            assert.deepEqual(m.get(), { a: 1, c: 3 });
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+
+var Model = require('../../lib/milo-core').Model
+    , jsonPatch = Model.JSONPatch
+    , assert = require('assert');
+
+
+describe('Model.JSONPatch', function() {
+    it('should convert access paths to JSON pointers and back', function() {
+        assert.equal(jsonPatch.pathToPointer('.list[1].name'), '/list/1/name');
+        assert.equal(jsonPatch.pathToPointer(''), '');
+        assert.equal(jsonPatch.pointerToPath('/list/1/name'), '.list[1].name');
+        assert.equal(jsonPatch.pointerToPath(''), '');
+
+        assert.throws(function() {
+            jsonPatch.pointerToPath('/a b');
+        });
+        assert.throws(function() {
+            jsonPatch.pointerToPath('list');
+        });
+    });
+
+
+    it('should convert model changes to JSON Patch operations', function() {
+        var m = new Model({ list: [1, 2, 3] })
+            , batches = [];
+
+        m.onSync('datachanges', function(msg, batch) {
+            batches.push(m.toJSONPatch(batch));
+        });
+
+        m('.info').set({ name: 'milo' });
+        m('.info.name').set('jason');
+        m('.info.name').del();
+        m('.list').splice(1, 1, 'a', 'b');
+
+            assert.deepEqual(batches, [
+                [{ op: 'add', path: '/info', value: { name: 'milo' } }],
+                [{ op: 'replace', path: '/info/name', value: 'jason' }],
+                [{ op: 'remove', path: '/info/name' }],
+                [
+                    { op: 'remove', path: '/list/1' },
+                    { op: 'add', path: '/list/1', value: 'a' },
+                    { op: 'add', path: '/list/2', value: 'b' }
+                ]
+            ]);
+    });
+
+
+    it('should apply JSON Patch operations to model', function() {
+        var m = new Model({ info: { name: 'milo', tags: ['a', 'b'] }, list: [1, 2] });
+
+        m.applyJSONPatch([
+            { op: 'test', path: '/info/name', value: 'milo' },
+            { op: 'replace', path: '/info/name', value: 'jason' },
+            { op: 'add', path: '/info/tags/-', value: 'c' },
+            { op: 'add', path: '/info/tags/0', value: 'z' },
+            { op: 'remove', path: '/list/0' },
+            { op: 'copy', from: '/info/tags', path: '/tags' },
+            { op: 'move', from: '/list', path: '/info/list' }
+        ]);
+
+            assert.deepEqual(m.get(), {
+                info: { name: 'jason', tags: ['z', 'a', 'b', 'c'], list: [2] },
+                tags: ['z', 'a', 'b', 'c']
+            });
+    });
+
+
+    it('should not change model if any operation fails', function() {
+        var m = new Model({ info: { name: 'milo' } })
+            , posted = [];
+
+        m.onSync('datachanges', function(msg, batch) {
+            posted.push(batch);
+        });
+
+        assert.throws(function() {
+            m.applyJSONPatch([
+                { op: 'replace', path: '/info/name', value: 'jason' },
+                { op: 'test', path: '/info/name', value: 'milo' }
+            ]);
+        }, /test failed/);
+
+        assert.throws(function() {
+            m.applyJSONPatch([
+                { op: 'add', path: '/info/age', value: 1 },
+                { op: 'remove', path: '/info/address/city' }
+            ]);
+        }, /path does not exist/);
+
+        assert.throws(function() {
+            m.applyJSONPatch([{ op: 'move', from: '/info', path: '/info/copy' }]);
+        });
+
+            assert.deepEqual(m.get(), { info: { name: 'milo' } });
+            assert.deepEqual(posted, []);
+    });
+
+
+    it('should apply JSON Patch operations to model path', function() {
+        var m = new Model({ info: { name: 'milo' } });
+
+        m('.info').applyJSONPatch([{ op: 'add', path: '/age', value: 1 }]);
+
+            assert.deepEqual(m.get(), { info: { name: 'milo', age: 1 } });
+    });
+});
@@ -1216,4 +1216,60 @@ describe('Model class', function() {
 
         assert.equal(mPath2.get(), 'Luis');
     });
+
+
+    it('should post messages only for changed values with "compare: deep" option', function() {
+        var m = new Model({ info: { name: 'milo', tags: ['a', 'b'], address: { city: 'London' } } }, undefined, { compare: 'deep' })
+            , posted = [];
+
+        m.onSync('datachanges', function(msg, batch) {
+            posted.push(batch.changes);
+        });
+
+        m.set({ info: { name: 'milo', tags: ['a', 'b'], address: { city: 'London' } } });
+        m('.info').set({ name: 'milo', tags: ['a', 'b'], address: { city: 'London' } });
+            assert.deepEqual(posted, []);
+
+        m('.info').set({ name: 'jason', tags: ['a'], address: { city: 'London', zip: 'N1' } });
+            assert.deepEqual(m.get(), { info: { name: 'jason', tags: ['a'], address: { city: 'London', zip: 'N1' } } });
+            assert.deepEqual(posted, [[
+                { path: '.info.name', type: 'changed', oldValue: 'milo', newValue: 'jason' },
+                { path: '.info.tags', type: 'splice', index: 1, removed: ['b'], addedCount: 0, newValue: ['a'] },
+                { path: '.info.tags[1]', type: 'removed', oldValue: 'b' },
+                { path: '.info.address.zip', type: 'added', newValue: 'N1' }
+            ]]);
+
+        posted = [];
+        m('.info.address').set('London');
+            assert.deepEqual(posted, [[
+                { path: '.info.address', type: 'changed', oldValue: { city: 'London', zip: 'N1' }, newValue: 'London' },
+                { path: '.info.address.city', type: 'removed', oldValue: 'London' },
+                { path: '.info.address.zip', type: 'removed', oldValue: 'N1' }
+            ]]);
+    });
+
+
+    it('should use custom comparator passed in "compare" option', function() {
+        var m = new Model({ list: [{ id: 1, v: 1 }, { id: 2, v: 1 }] }, undefined, {
+                compare: function(oldValue, newValue) {
+                    return oldValue && typeof oldValue == 'object'
+                            ? oldValue.id !== undefined && newValue && oldValue.id === newValue.id
+                            : oldValue === newValue;
+                }
+            })
+            , posted = [];
+
+        m.onSync('datachanges', function(msg, batch) {
+            posted.push(batch.changes);
+        });
+
+        m('.list').set([{ id: 1, v: 2 }, { id: 3, v: 1 }]);
+            assert.deepEqual(posted, [[
+                { path: '.list[1].id', type: 'changed', oldValue: 2, newValue: 3 }
+            ]]);
+
+        assert.throws(function() {
+            new Model(undefined, undefined, { compare: 'shallow' });
+        });
+    });
 });
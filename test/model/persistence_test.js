@@ -0,0 +1,174 @@
+'use strict';
+
+
+var milo = require('../../lib/milo-core')
+    , Model = milo.Model
+    , clock = milo.testing.clock
+    , Persistence = Model.Persistence
+    , assert = require('assert')
+    , fs = require('fs')
+    , os = require('os')
+    , path = require('path')
+    , _ = require('protojs');
+
+
+describe('Model.Persistence', function() {
+    it('should load data and save changes once per transaction', function() {
+        var adapter = new Persistence.MemoryAdapter({ info: { name: 'milo' } })
+            , m = new Model
+            , saved = []
+            , loaded = false;
+
+        var persistence = Model.persist(m, adapter, function(err) {
+            loaded = ! err;
+        });
+        persistence.on('saved', function(msg, data) {
+            saved.push(data.data);
+        });
+
+            assert(loaded);
+            assert.deepEqual(m.get(), { info: { name: 'milo' } });
+            assert.deepEqual(adapter.data, { info: { name: 'milo' } });
+
+        m('.info.name').set('jason');
+            assert.deepEqual(adapter.data, { info: { name: 'jason' } });
+
+        m.batch(function() {
+            m('.info.age').set(1);
+            m('.info.list').push(1, 2);
+        });
+            assert.deepEqual(adapter.data, { info: { name: 'jason', age: 1, list: [1, 2] } });
+
+        m.applyPatch([
+            { path: '.info.age', type: 'changed', oldValue: 1, newValue: 2 },
+            { path: '.info.name', type: 'deleted', oldValue: 'jason' }
+        ]);
+            assert.deepEqual(adapter.data, { info: { age: 2, list: [1, 2] } });
+
+        persistence.destroy();
+        m('.info.age').set(3);
+            assert.deepEqual(adapter.data, { info: { age: 2, list: [1, 2] } });
+    });
+
+
+    it('should save debounced changes', function() {
+        var adapter = new Persistence.MemoryAdapter
+            , m = new Model
+            , persistence = Model.persist(m, adapter, { debounce: 10 })
+            , saveCount = 0;
+
+        persistence.on('saved', function() {
+            saveCount++;
+        });
+
+        clock.install();
+        try {
+            m('.a').set(1);
+            clock.tick(5);
+            m('.b').set(2);
+            clock.tick(9);
+                assert.strictEqual(adapter.data, undefined);
+
+            clock.tick(1);
+                assert.deepEqual(adapter.data, { a: 1, b: 2 });
+                assert.equal(saveCount, 1);
+
+            m('.c').set(3);
+            persistence.flush();
+                assert.deepEqual(adapter.data, { a: 1, b: 2, c: 3 });
+            clock.runAll();
+                assert.equal(saveCount, 2);
+                assert.deepEqual(adapter.data, { a: 1, b: 2, c: 3 });
+        } finally {
+            clock.uninstall();
+            persistence.destroy();
+        }
+    });
+
+
+    it('should persist only values at paths', function() {
+        var adapter = new Persistence.MemoryAdapter({ settings: { theme: 'dark' }, items: [{ id: 1, name: 'a' }], temp: 1 })
+            , m = new Model
+            , persistence = Model.persist(m, adapter, { paths: ['.settings', '.items[*].id'] });
+
+            assert.deepEqual(m.get(), { settings: { theme: 'dark' }, items: [{ id: 1 }] });
+
+        m('.temp').set(2);
+            assert.deepEqual(adapter.data, { settings: { theme: 'dark' }, items: [{ id: 1, name: 'a' }], temp: 1 });
+
+        m('.items').push({ id: 2, name: 'b' });
+            assert.deepEqual(adapter.data, { settings: { theme: 'dark' }, items: [{ id: 1 }, { id: 2 }] });
+
+        m('.settings.theme').set('light');
+        m('.items[0].name').set('c');
+            assert.deepEqual(persistence.getData(), { settings: { theme: 'light' }, items: [{ id: 1 }, { id: 2 }] });
+            assert.deepEqual(adapter.data, persistence.getData());
+    });
+
+
+    it('should encode and revive special types', function() {
+        var adapter = new Persistence.MemoryAdapter
+            , m1 = new Model;
+
+        Model.persist(m1, adapter, { serialize: true });
+        m1('.date').set(new Date(0));
+            assert.deepEqual(adapter.data, { date: { $type: 'Date', value: '1970-01-01T00:00:00.000Z' } });
+
+        var m2 = new Model;
+        Model.persist(m2, adapter, { serialize: true });
+            assert(m2('.date').get() instanceof Date);
+            assert.equal(m2('.date').get().getTime(), 0);
+    });
+
+
+    it('should use key/value storage', function() {
+        var storage = {
+                items: {},
+                getItem: function(key) { return this.items.hasOwnProperty(key) ? this.items[key] : null; },
+                setItem: function(key, value) { this.items[key] = value; }
+            }
+            , m1 = new Model;
+
+        Model.persist(m1, new Persistence.KeyValueAdapter(storage, 'test'));
+        m1('.info.name').set('milo');
+            assert.equal(storage.items.test, '{"info":{"name":"milo"}}');
+
+        var m2 = new Model;
+        Model.persist(m2, new Persistence.KeyValueAdapter(storage, 'test'));
+            assert.deepEqual(m2.get(), { info: { name: 'milo' } });
+
+        storage.items.test = '{';
+        var m3 = new Model
+            , error;
+        Model.persist(m3, new Persistence.KeyValueAdapter(storage, 'test'), function(err) {
+            error = err;
+        });
+            assert(error instanceof SyntaxError);
+    });
+
+
+    it('should use JSON file', function(done) {
+        var filePath = path.join(os.tmpdir(), 'milo_persistence_test_' + Date.now() + '.json')
+            , m1 = new Model;
+
+        Model.persist(m1, new Persistence.FileAdapter(filePath), function(err) {
+            assert.ifError(err);
+                assert.equal(m1.get(), undefined);
+
+            var persistence = Model.persist(m1, new Persistence.FileAdapter(filePath));
+            persistence.on('saved', function() {
+                persistence.destroy();
+
+                var m2 = new Model;
+                Model.persist(m2, new Persistence.FileAdapter(filePath), function(err) {
+                    assert.ifError(err);
+                    assert.deepEqual(m2.get(), { list: [1, 2] });
+                    fs.unlinkSync(filePath);
+                    done();
+                });
+            });
+
+            m1('.list').push(1, 2);
+        });
+    });
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+
+var milo = require('../../lib/milo-core')
+    , Model = milo.Model
+    , Match = milo.util.check.Match
+    , assert = require('assert');
+
+
+describe('Model schema', function() {
+    it('should validate values with ml-check patterns', function() {
+        var m = new Model(undefined, undefined, { schema: {
+            '.name': String,
+            '.items[*].price': Number,
+            '.info': { age: Match.Optional(Number) }
+        } });
+
+        m('.name').set('milo');
+        m('.items[0].price').set(10);
+        m('.info').set({ age: 2 });
+
+        assert.throws(function() { m('.name').set(1); }, /\.name/);
+        assert.throws(function() { m('.items[1].price').set('free'); }, /\.items\[1\]\.price/);
+        assert.throws(function() { m('.items').set([{ price: 1 }, { price: '2' }]); }, /\.items\[1\]\.price/);
+        assert.throws(function() { m('.info').set({ name: 'milo' }); });
+        assert.throws(function() { m.set({ name: 2 }); });
+
+            assert.deepEqual(m.get(), { name: 'milo', items: [{ price: 10 }], info: { age: 2 } });
+    });
+
+
+    it('should validate splice and methods using it', function() {
+        var m = new Model(undefined, undefined, { schema: {
+            '.list': { type: 'array', maxItems: 3 },
+            '.list[*]': Number
+        } });
+
+        m('.list').push(1, 2);
+        m('.list').unshift(0);
+
+        assert.throws(function() { m('.list').push(3); }, /at most 3 items/);
+        assert.throws(function() { m('.list').splice(1, 1, 'a'); }, /\.list\[1\]/);
+
+            assert.deepEqual(m('.list').get(), [0, 1, 2]);
+
+        m('.list').pop();
+        m('.list').shift();
+
+            assert.deepEqual(m('.list').get(), [1]);
+    });
+
+
+    it('should validate values with JSON-Schema', function() {
+        var m = new Model(undefined, undefined, { schema: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string', minLength: 2 },
+                role: { enum: ['admin', 'user'] },
+                age: { type: 'integer', minimum: 0 },
+                tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' } },
+                address: {
+                    type: ['object', 'null'],
+                    additionalProperties: false,
+                    properties: { city: { type: 'string' } }
+                }
+            }
+        } });
+
+        m.set({ name: 'milo' });
+        m('.age').set(3);
+        m('.role').set('user');
+        m('.tags').push('abc');
+        m('.address').set(null);
+        m('.address').set({ city: 'London' });
+
+        assert.throws(function() { m.set({ age: 1 }); }, /should have property name/);
+        assert.throws(function() { m('.name').set('m'); }, /at least 2 characters/);
+        assert.throws(function() { m('.age').set(1.5); }, /should be integer, got number/);
+        assert.throws(function() { m('.age').set(-1); }, /should be >= 0/);
+        assert.throws(function() { m('.role').set('root'); }, /should be one of/);
+        assert.throws(function() { m('.tags[1]').set('ABC'); }, /should match pattern/);
+        assert.throws(function() { m('.address').set({ zip: '123' }); }, /should not have property zip/);
+
+            assert.deepEqual(m.get(), { name: 'milo', age: 3, role: 'user', tags: ['abc'], address: { city: 'London' } });
+    });
+
+
+    it('should validate parent values when the path inside them is changed', function() {
+        var schema = {
+            type: 'object',
+            properties: {
+                user: {
+                    type: 'object',
+                    required: ['name'],
+                    additionalProperties: false,
+                    properties: { name: { type: 'string' }, age: { type: 'integer' } }
+                }
+            }
+        };
+        var m = new Model(undefined, undefined, { schema: schema });
+
+        m('.user').set({ name: 'milo' });
+        m('.user.age').set(2);
+
+        assert.throws(function() { m('.user.email').set('milo@example.com'); }, /\.user: should not have property email/);
+        assert.throws(function() { m('.user.name').del(); }, /\.user: should have property name/);
+        assert.throws(function() { new Model(undefined, undefined, { schema: schema })('.user.age').set(1); },
+            /\.user: should have property name/);
+
+        m('.user.age').del();
+
+            assert.deepEqual(m.get(), { user: { name: 'milo' } });
+    });
+
+
+    it('should validate deleted values with ml-check patterns', function() {
+        var m = new Model({ name: 'milo', nick: 'm' }, undefined, { schema: {
+            '.name': String,
+            '.nick': Match.Optional(String),
+            '.info': { age: Number, city: Match.Optional(String) }
+        } });
+
+        m('.nick').del();
+        m('.info').set({ age: 2, city: 'London' });
+        m('.info.city').del();
+
+        assert.throws(function() { m('.name').del(); }, /\.name: value does not match pattern/);
+        assert.throws(function() { m('.info.age').del(); }, /\.info: value does not match pattern/);
+
+            assert.deepEqual(m.get(), { name: 'milo', info: { age: 2 } });
+    });
+
+
+    it('should reject invalid values silently in "silent" mode', function() {
+        var m = new Model(undefined, undefined, { schema: { '.name': String }, validationMode: 'silent' })
+            , posted = [];
+
+        m.onSync('.name', function(msg, data) {
+            posted.push(data);
+        });
+
+        m('.name').set(1);
+
+            assert.equal(m('.name').get(), undefined);
+            assert.deepEqual(posted, []);
+    });
+
+
+    it('should post "validationerror" message in "message" mode', function() {
+        var m = new Model(undefined, undefined, { schema: { '.name': String }, validationMode: 'message' })
+            , posted = [];
+
+        m.onSync('validationerror', function(msg, data) {
+            posted.push(data);
+        });
+
+        m('.name').set(1);
+
+            assert.equal(m('.name').get(), undefined);
+            assert.deepEqual(posted, [{ path: '.name', value: 1, errors: ['.name: value does not match pattern'] }]);
+    });
+
+
+    it('should validate interpolated paths', function() {
+        var m = new Model(undefined, undefined, { schema: { '.items[*].price': Number } });
+
+        m('.items[$1].price', 0).set(1);
+        assert.throws(function() { m('.items[$1].price', 1).set('1'); }, /\.items\[1\]\.price/);
+    });
+
+
+    it('should throw on unknown validation mode', function() {
+        assert.throws(function() {
+            new Model(undefined, undefined, { schema: { '.name': String }, validationMode: 'log' });
+        });
+    });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+
+var Model = require('../../lib/milo-core').Model
+    , serialization = Model.Serialization
+    , assert = require('assert');
+
+
+describe('Model serialization', function() {
+    function Point(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+
+    it('should encode and revive built-in types', function() {
+        var date = new Date(Date.UTC(2016, 0, 1))
+            , m = new Model({
+                date: date,
+                invalidDate: new Date(NaN),
+                re: /a.b/gi,
+                map: new Map([['a', date], [1, { b: 2 }]]),
+                set: new Set([1, 'x']),
+                list: [1, { $type: 'Date', value: 'not a date' }]
+            });
+
+        var json = JSON.stringify(m);
+            assert.equal(json, JSON.stringify(m.toJSON()));
+            assert.deepEqual(JSON.parse(json).date, { $type: 'Date', value: '2016-01-01T00:00:00.000Z' });
+
+        var data = Model.fromJSON(json).get();
+            assert(data.date instanceof Date);
+            assert.equal(data.date.getTime(), date.getTime());
+            assert(isNaN(data.invalidDate.getTime()));
+            assert(data.re instanceof RegExp);
+            assert.equal(String(data.re), '/a.b/gi');
+            assert(data.map instanceof Map);
+            assert.equal(data.map.get('a').getTime(), date.getTime());
+            assert.deepEqual(data.map.get(1), { b: 2 });
+            assert(data.set instanceof Set);
+            assert(data.set.has(1) && data.set.has('x'));
+            assert.deepEqual(data.list, [1, { $type: 'Date', value: 'not a date' }]);
+    });
+
+
+    it('should encode and revive registered types', function() {
+        serialization.registerType('Point', {
+            constructor: Point,
+            encode: function(point) { return [point.x, point.y]; },
+            revive: function(coords) { return new Point(coords[0], coords[1]); }
+        });
+
+        try {
+            var m = new Model({ points: [new Point(1, 2)] })
+                , encoded = m.toJSON();
+
+                assert.deepEqual(encoded, { points: [{ $type: 'Point', value: [1, 2] }] });
+
+            var data = Model.fromJSON(encoded).get();
+                assert(data.points[0] instanceof Point);
+                assert.deepEqual(data.points[0], new Point(1, 2));
+        } finally {
+            serialization.unregisterType('Point');
+        }
+
+        assert.throws(function() {
+            Model.fromJSON(encoded);
+        }, /unknown type Point/);
+    });
+
+
+    it('should keep values of special types written with accessors', function() {
+        serialization.registerType('Point', {
+            constructor: Point,
+            encode: function(point) { return [point.x, point.y]; },
+            revive: function(coords) { return new Point(coords[0], coords[1]); }
+        });
+
+        try {
+            var m = new Model;
+            m('.x').set({ s: new Set([1]), mp: new Map([[1, 2]]), p: new Point(1, 2) });
+            m('.list').push(new Set(['a']));
+
+            var data = m.get();
+                assert(data.x.s instanceof Set && data.x.s.has(1));
+                assert(data.x.mp instanceof Map && data.x.mp.get(1) == 2);
+                assert(data.x.p instanceof Point);
+                assert(m.snapshot().x.s instanceof Set);
+
+            var m2 = Model.fromJSON(JSON.stringify(m))
+                , data2 = m2.get();
+                assert(data2.x.s instanceof Set && data2.x.s.has(1));
+                assert(data2.x.mp instanceof Map && data2.x.mp.get(1) == 2);
+                assert.deepEqual(data2.x.p, new Point(1, 2));
+                assert(data2.list[0] instanceof Set && data2.list[0].has('a'));
+
+            m2('.y').set(m2('.x').get());
+                assert(m2('.y.s').get() instanceof Set);
+                assert(m2('.x.p').get() instanceof Point);
+        } finally {
+            serialization.unregisterType('Point');
+        }
+    });
+
+
+    it('should use types passed in options', function() {
+        var types = {
+                Point: {
+                    test: function(value) { return value instanceof Point; },
+                    encode: function(point) { return { x: point.x, y: point.y }; },
+                    revive: function(value) { return new Point(value.x, value.y); }
+                }
+            }
+            , m = new Model({ info: { point: new Point(3, 4), date: new Date(0) } })
+            , encoded = m('.info').toJSON({ types: types })
+            , m2 = Model.fromJSON(JSON.stringify(encoded), { types: types, modelOptions: { reactive: false } });
+
+            assert.deepEqual(encoded.point, { $type: 'Point', value: { x: 3, y: 4 } });
+            assert(m2.get().point instanceof Point);
+            assert(m2.get().date instanceof Date);
+            assert.equal(m2._options.reactive, false);
+    });
+
+
+    it('should throw on invalid types', function() {
+        assert.throws(function() {
+            serialization.registerType('Object', { constructor: Object, encode: String, revive: String });
+        }, /reserved/);
+        assert.throws(function() {
+            serialization.registerType('Thing', { encode: String, revive: String });
+        }, /constructor or test/);
+    });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+
+var Model = require('../../lib/milo-core').Model
+    , assert = require('assert')
+    , _ = require('protojs');
+
+
+describe('Model snapshot and restore', function() {
+    it('should return frozen copy of model data', function() {
+        var m = new Model;
+        m('.info').set({ name: 'milo', list: [1, 2] });
+
+        var snapshot = m.snapshot();
+
+            assert.deepEqual(snapshot, { info: { name: 'milo', list: [1, 2] } });
+            assert.notEqual(snapshot, m.get());
+            assert(Object.isFrozen(snapshot));
+            assert(Object.isFrozen(snapshot.info));
+            assert(Object.isFrozen(snapshot.info.list));
+
+        m('.info.name').set('jason');
+
+            assert.equal(snapshot.info.name, 'milo');
+    });
+
+
+    it('should share unchanged subtrees between snapshots', function() {
+        var m = new Model;
+        m.set({ info: { name: 'milo' }, list: [{ a: 1 }, { b: 2 }] });
+
+        var snapshot1 = m.snapshot();
+        var snapshot2 = m.snapshot();
+
+            assert.equal(snapshot1, snapshot2);
+
+        m('.list[1].b').set(3);
+        var snapshot3 = m.snapshot();
+
+            assert.notEqual(snapshot3, snapshot1);
+            assert.equal(snapshot3.info, snapshot1.info);
+            assert.notEqual(snapshot3.list, snapshot1.list);
+            assert.equal(snapshot3.list[0], snapshot1.list[0]);
+            assert.deepEqual(snapshot3, { info: { name: 'milo' }, list: [{ a: 1 }, { b: 3 }] });
+            assert.deepEqual(snapshot1, { info: { name: 'milo' }, list: [{ a: 1 }, { b: 2 }] });
+
+        m('.list').splice(0, 1);
+        var snapshot4 = m.snapshot();
+
+            assert.equal(snapshot4.info, snapshot1.info);
+            assert.deepEqual(snapshot4.list, [{ b: 3 }]);
+    });
+
+
+    it('should copy data every time for non-reactive model', function() {
+        var m = new Model({ info: { name: 'milo' } }, undefined, { reactive: false });
+
+        var snapshot1 = m.snapshot();
+        m('.info.name').set('jason');
+        var snapshot2 = m.snapshot();
+
+            assert.deepEqual(snapshot1, { info: { name: 'milo' } });
+            assert.deepEqual(snapshot2, { info: { name: 'jason' } });
+    });
+
+
+    it('should restore model data from snapshot', function() {
+        var m = new Model;
+        m.set({ info: { name: 'milo', tags: ['a', 'b'] }, count: 1 });
+
+        var snapshot = m.snapshot();
+
+        m('.info.name').set('jason');
+        m('.info.tags').push('c');
+        m('.count').del();
+        m('.extra').set(true);
+
+        m.restore(snapshot);
+
+            assert.deepEqual(m.get(), { info: { name: 'milo', tags: ['a', 'b'] }, count: 1 });
+            assert(! Object.isFrozen(m.get()));
+            assert(! Object.isFrozen(m.get().info));
+    });
+
+
+    it('should post messages only for changed paths when restoring', function() {
+        var m = new Model
+            , posted = [];
+        m.set({ info: { name: 'milo', address: { city: 'London' } }, list: [1, 2, 3] });
+
+        var snapshot = m.snapshot();
+
+        m('.info.name').set('jason');
+        m('.list').splice(1, 2);
+        m('.extra').set(1);
+
+        m.onSync('datachanges', function(msg, batch) {
+            _.appendArray(posted, batch.changes.map(function(change) {
+                return change.path + ' ' + change.type;
+            }));
+        });
+
+        m.restore(snapshot);
+
+            assert.deepEqual(posted, [
+                '.extra deleted',
+                '.info.name changed',
+                '.list splice',
+                '.list[1] added',
+                '.list[2] added'
+            ]);
+            assert.deepEqual(m.get(), snapshot);
+    });
+});
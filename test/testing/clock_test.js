@@ -0,0 +1,108 @@
+'use strict';
+
+
+var milo = require('../../lib/milo-core')
+    , Model = milo.Model
+    , Messenger = milo.Messenger
+    , clock = milo.testing.clock
+    , assert = require('assert');
+
+
+describe('milo.testing.clock', function() {
+    beforeEach(function() {
+        clock.install();
+    });
+
+    afterEach(function() {
+        clock.uninstall();
+    });
+
+
+    it('should control asynchronous subscribers', function() {
+        var messenger = new Messenger({})
+            , posted = [];
+
+        messenger.on('event', function(msg, data) {
+            posted.push(data);
+            if (data == 1) messenger.postMessage('event', 2);
+        });
+        messenger.postMessage('event', 1);
+
+            assert.deepEqual(posted, []);
+            assert.equal(clock.pendingCount(), 1);
+
+            assert.equal(clock.tick(), 2);
+            assert.deepEqual(posted, [1, 2]);
+            assert.equal(clock.pendingCount(), 0);
+    });
+
+
+    it('should call tasks in the order of virtual time', function() {
+        var called = [];
+
+        clock.schedule(function() { called.push('b'); }, 20);
+        clock.schedule(function() { called.push('a'); }, 10);
+        clock.schedule(function() { called.push('c'); }, 20);
+
+            assert.equal(clock.tick(10), 1);
+            assert.deepEqual(called, ['a']);
+            assert.equal(clock.now(), 10);
+
+            assert.equal(clock.runAll(), 2);
+            assert.deepEqual(called, ['a', 'b', 'c']);
+            assert.equal(clock.now(), 20);
+    });
+
+
+    it('should step propagation of changes via connectors synchronously', function() {
+        var m1 = new Model
+            , m2 = new Model
+            , m3 = new Model
+            , minderMessages = [];
+
+        var connectors = milo.minder([[m1, '<<->>', m2], [m2, '->>', m3]]);
+        milo.minder.on('propagationcompleted', function(msg) {
+            minderMessages.push(msg);
+        });
+
+        m1('.info.name').set('milo');
+
+            assert.equal(m2('.info.name').get(), undefined);
+
+        clock.runAll();
+
+            assert.deepEqual(m2.get(), { info: { name: 'milo' } });
+            assert.deepEqual(m3.get(), { info: { name: 'milo' } });
+            assert.deepEqual(minderMessages, ['propagationcompleted']);
+            assert.equal(milo.minder.isPropagating(), false);
+
+        connectors.forEach(milo.minder.destroyConnector);
+        milo.minder.off('propagationcompleted');
+    });
+
+
+    it('should control lazy computed properties', function() {
+        var m = new Model({ a: 1 });
+        m.computed('.b', ['.a'], function(a) { return a * 2; }, { lazy: true });
+
+        m('.a').set(2);
+            assert.equal(m('.b').get(), 2);
+
+        clock.tick();
+            assert.equal(m('.b').get(), 4);
+    });
+
+
+    it('should restore default scheduler when uninstalled', function() {
+        clock.schedule(function() {});
+        clock.uninstall();
+
+            assert.equal(clock.pendingCount(), 0);
+            assert.equal(Messenger.Scheduler.getDefault(), Messenger.Scheduler.setTimeout);
+
+        clock.install();
+        assert.throws(function() {
+            clock.install();
+        }, /already installed/);
+    });
+});